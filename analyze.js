@@ -0,0 +1,244 @@
+// Command-line key detection - same scoring as the website
+// Run with: node analyze.js song.mid [more.mid | folder ...] [--json | --csv]
+// Options:
+//   --json              print results as JSON
+//   --csv               print one row per candidate as CSV
+//   --top N             number of candidates per file (default 5)
+//   --algorithm ID      weighted (default) or a profile: krumhansl, temperley, aarden
+//   --include-drums     count drum/percussion tracks too
+//   --key-prior [W]     favour the key signature stored in the file (default strength 0.25)
+//   --no-cadence        leave out the V-I cadence bonus (weighted algorithm)
+//   --families LIST     scale families to search, comma-separated (default diatonic; all = every family)
+
+const { readFileSync, readdirSync, statSync } = require('fs');
+const { join, extname } = require('path');
+const { Midi } = require('./Midi.js');
+
+const MIDI_EXTENSIONS = ['.mid', '.midi'];
+
+// Shown instead of a key for files without pitched notes (empty or drums only)
+const NO_NOTES = '(no notes)';
+
+function printUsage() {
+    console.log('Usage: node analyze.js <file.mid | folder> [...] [--json | --csv] [--top N] [--algorithm ID] [--include-drums] [--key-prior [W]] [--no-cadence] [--families LIST]');
+}
+
+function parseArgs(argv) {
+    const options = { format: 'table', top: 5, algorithm: 'weighted', includeDrums: false, keyPrior: 0, cadenceBonus: true, families: null, paths: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.format = 'json';
+        } else if (arg === '--csv') {
+            options.format = 'csv';
+        } else if (arg === '--top') {
+            options.top = Math.max(1, parseInt(argv[++i], 10) || 5);
+        } else if (arg === '--algorithm') {
+            options.algorithm = argv[++i];
+        } else if (arg === '--include-drums') {
+            options.includeDrums = true;
+        } else if (arg === '--key-prior') {
+            // Optional strength; a bare --key-prior (null) uses the detector's default
+            const value = Number(argv[i + 1]);
+            if (argv[i + 1] !== undefined && Number.isFinite(value)) {
+                options.keyPrior = value;
+                i++;
+            } else {
+                options.keyPrior = null;
+            }
+        } else if (arg === '--no-cadence') {
+            options.cadenceBonus = false;
+        } else if (arg === '--families') {
+            options.families = String(argv[++i] || '').split(',').map(f => f.trim()).filter(Boolean);
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.paths.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Expand folders (recursively) into their MIDI files
+function collectFiles(paths) {
+    const files = [];
+    for (const path of paths) {
+        if (statSync(path).isDirectory()) {
+            const entries = readdirSync(path).sort().map(name => join(path, name));
+            files.push(...collectFiles(entries.filter(p => statSync(p).isDirectory() || MIDI_EXTENSIONS.includes(extname(p).toLowerCase()))));
+        } else {
+            files.push(path);
+        }
+    }
+    return files;
+}
+
+function analyzeFile(file, options, detector, spelling) {
+    const { parseMidi, analyzeMidi, computeScaleCoveragePct, DEFAULT_KEY_PRIOR } = detector;
+    const { NOTE_NAMES, keyLabel, spellKey } = spelling;
+    // "Eb Major", as on the page; unknown scales fall back to NOTE_NAMES
+    const keyName = (root, mode) => keyLabel(root, mode) || `${NOTE_NAMES[root]} ${mode}`;
+
+    const midi = parseMidi(readFileSync(file), { Midi });
+    const { usedNotes, noteWeights, matches, droppedNotes, declaredKeys } = analyzeMidi(midi, {
+        algorithm: options.algorithm,
+        includeDrums: options.includeDrums,
+        keyPrior: options.keyPrior === null ? DEFAULT_KEY_PRIOR : options.keyPrior,
+        cadenceBonus: options.cadenceBonus && options.algorithm === 'weighted',
+        families: options.families || undefined
+    });
+
+    // Without notes every key scores the same; there is nothing to guess
+    const ranked = usedNotes.length > 0 ? matches : [];
+    const candidates = ranked.slice(0, options.top).map((m, i) => ({
+        rank: i + 1,
+        key: keyName(m.root, m.name),
+        root: m.root,
+        mode: m.name,
+        score: Math.round(m.score * 1000) / 1000,
+        matchPct: computeScaleCoveragePct(m.root, m.name, noteWeights).inPct,
+        probability: m.probability === undefined ? null : Math.round(m.probability * 1000) / 1000
+    }));
+
+    const best = candidates[0] || null;
+    const declared = declaredKeys.map(k => ({
+        key: keyName(k.root, k.name),
+        time: Math.round(k.time * 100) / 100
+    }));
+
+    // Notes spelled in the best guess (F# in D Major, E# in C# Minor)
+    const noteNames = (best && spellKey(best.root, best.mode)?.names) || NOTE_NAMES;
+
+    return {
+        file,
+        usedNotes: usedNotes.map(pc => noteNames[pc]),
+        droppedDrumNotes: droppedNotes,
+        declaredKeys: declared,
+        // The file's key signature names another key than the best guess
+        declaredMismatch: !!best && declared.length > 0 && !declared.some(k => k.key === best.key),
+        best,
+        candidates,
+        ...(usedNotes.length === 0 ? { message: NO_NOTES } : {})
+    };
+}
+
+function formatPct(value) {
+    return value == null ? '' : `${Math.round(value * 100)}%`;
+}
+
+function printTable(results) {
+    for (const result of results) {
+        console.log(result.file);
+        if (result.error) {
+            console.log(`  Error: ${result.error}\n`);
+            continue;
+        }
+        console.log(`  Notes:      ${result.usedNotes.join(' ') || '(none)'}`);
+        console.log(`  Best guess: ${result.best ? result.best.key : (result.message || '–')}`);
+        if (result.declaredKeys.length > 0) {
+            const declared = result.declaredKeys.map(k => k.key).join(', then ');
+            console.log(`  Declared:   ${declared}${result.declaredMismatch ? '  (differs from the best guess)' : ''}`);
+        }
+        if (result.droppedDrumNotes > 0) {
+            console.log(`  Ignored ${result.droppedDrumNotes} drum notes`);
+        }
+        if (result.candidates.length === 0) {
+            console.log('');
+            continue;
+        }
+        console.log(`  ${'#'.padEnd(3)}${'Key'.padEnd(28)}${'Score'.padStart(10)}${'Match'.padStart(8)}${'Prob'.padStart(7)}`);
+        for (const c of result.candidates) {
+            console.log(`  ${String(c.rank).padEnd(3)}${c.key.padEnd(28)}${c.score.toFixed(2).padStart(10)}${`${c.matchPct}%`.padStart(8)}${formatPct(c.probability).padStart(7)}`);
+        }
+        console.log('');
+    }
+}
+
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function printCsv(results) {
+    console.log(['file', 'rank', 'key', 'root', 'mode', 'score', 'match_pct', 'probability', 'used_notes', 'declared_keys', 'error'].join(','));
+    for (const result of results) {
+        if (result.error) {
+            console.log([result.file, '', '', '', '', '', '', '', '', '', result.error].map(csvField).join(','));
+            continue;
+        }
+        const declared = result.declaredKeys.map(k => k.key).join(' ');
+        if (result.candidates.length === 0) {
+            console.log([result.file, '', result.message, '', '', '', '', '', '', declared, ''].map(csvField).join(','));
+            continue;
+        }
+        for (const c of result.candidates) {
+            console.log([result.file, c.rank, c.key, c.root, c.mode, c.score, c.matchPct, c.probability, result.usedNotes.join(' '), declared, '']
+                .map(csvField)
+                .join(','));
+        }
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        printUsage();
+        process.exit(2);
+    }
+    if (options.help || options.paths.length === 0) {
+        printUsage();
+        process.exit(options.help ? 0 : 2);
+    }
+
+    const detector = await import('./scaleDetector.js');
+    const spelling = await import('./noteSpelling.js');
+    if (!detector.KEY_ALGORITHMS.some(a => a.id === options.algorithm)) {
+        console.error(`Unknown algorithm "${options.algorithm}". Use one of: ${detector.KEY_ALGORITHMS.map(a => a.id).join(', ')}`);
+        process.exit(2);
+    }
+    if (options.families) {
+        const known = detector.getScaleFamilies();
+        if (options.families.includes('all')) options.families = known;
+        const unknown = options.families.filter(f => !known.includes(f));
+        if (unknown.length > 0 || options.families.length === 0) {
+            console.error(`Unknown scale family "${unknown[0] || ''}". Use some of: ${known.join(', ')} (or all)`);
+            process.exit(2);
+        }
+    }
+
+    let files;
+    try {
+        files = collectFiles(options.paths);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(2);
+    }
+
+    // A broken file is reported and skipped; the exit code says something failed
+    const results = files.map(file => {
+        try {
+            return analyzeFile(file, options, detector, spelling);
+        } catch (err) {
+            return { file, error: (err && err.message) || String(err) };
+        }
+    });
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(results, null, 2));
+    } else if (options.format === 'csv') {
+        printCsv(results);
+    } else {
+        printTable(results);
+    }
+
+    if (results.some(r => r.error)) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,155 @@
+// Checks midiInput.js against a mock MIDIAccess - no browser or hardware needed
+// Run with: node checkMidiInput.js
+// Covers note on/off (incl. velocity-0 note-offs and the same note on two
+// channels), the channel filter, device selection, hot-plug and device removal.
+
+const assert = require('assert');
+
+// MIDIAccess-like object whose inputs can be plugged, unplugged and played
+function createMockAccess() {
+    const access = { inputs: new Map(), onstatechange: null };
+
+    function plug(id, name) {
+        access.inputs.set(id, { id, name, manufacturer: 'Mock', state: 'connected', onmidimessage: null });
+        if (access.onstatechange) access.onstatechange({ port: access.inputs.get(id) });
+    }
+
+    function unplug(id) {
+        const input = access.inputs.get(id);
+        input.state = 'disconnected';
+        if (access.onstatechange) access.onstatechange({ port: input });
+    }
+
+    // Deliver raw bytes the way a MIDIInput does; ignored when nobody listens
+    function send(id, ...data) {
+        const input = access.inputs.get(id);
+        if (input.onmidimessage) input.onmidimessage({ data: Uint8Array.from(data) });
+    }
+
+    return { access, plug, unplug, send };
+}
+
+// A MIDI input wired to the mock, recording every callback as text
+function setup() {
+    const mock = createMockAccess();
+    const log = [];
+    const devices = [];
+    const { createMidiInput } = midiInputModule;
+    const input = createMidiInput({
+        requestAccess: () => Promise.resolve(mock.access),
+        onNoteOn: (midi, velocity) => log.push(`on ${midi} ${velocity.toFixed(2)}`),
+        onNoteOff: (midi) => log.push(`off ${midi}`),
+        onDevicesChange: (list) => devices.push(list.map(d => d.name))
+    });
+    return { mock, input, log, devices };
+}
+
+let midiInputModule = null;
+
+const checks = [
+    ['note on/off, velocity-0 note-off', async () => {
+        const { mock, input, log } = setup();
+        mock.plug('a', 'Keys A');
+        await input.connect();
+        mock.send('a', 0x90, 60, 127);
+        mock.send('a', 0x90, 64, 64);
+        assert.deepStrictEqual(input.getHeldNotes(), [60, 64]);
+        mock.send('a', 0x80, 60, 0);
+        mock.send('a', 0x90, 64, 0);
+        assert.deepStrictEqual(log, ['on 60 1.00', 'on 64 0.50', 'off 60', 'off 64']);
+        assert.deepStrictEqual(input.getHeldNotes(), []);
+    }],
+
+    ['same note on two channels is released once both are off', async () => {
+        const { mock, input, log } = setup();
+        mock.plug('a', 'Keys A');
+        await input.connect();
+        mock.send('a', 0x90, 60, 100);
+        mock.send('a', 0x91, 60, 100);
+        mock.send('a', 0x80, 60, 0);
+        assert.ok(!log.includes('off 60'), 'still held on channel 2');
+        mock.send('a', 0x81, 60, 0);
+        assert.strictEqual(log.filter(l => l === 'off 60').length, 1);
+    }],
+
+    ['channel filter', async () => {
+        const { mock, input, log } = setup();
+        mock.plug('a', 'Keys A');
+        await input.connect();
+        mock.send('a', 0x90, 60, 100); // channel 1
+        input.setChannel(1); // channel 2 only: the held channel-1 note is released
+        assert.deepStrictEqual(log, ['on 60 0.79', 'off 60']);
+        mock.send('a', 0x90, 62, 100);
+        mock.send('a', 0x91, 67, 100);
+        assert.deepStrictEqual(input.getHeldNotes(), [67]);
+        input.setChannel('');
+        mock.send('a', 0x90, 62, 100);
+        assert.deepStrictEqual(input.getHeldNotes(), [67, 62]);
+    }],
+
+    ['all-notes-off controller', async () => {
+        const { mock, input, log } = setup();
+        mock.plug('a', 'Keys A');
+        await input.connect();
+        mock.send('a', 0x90, 60, 100);
+        mock.send('a', 0x90, 64, 100);
+        mock.send('a', 0xb0, 123, 0);
+        assert.deepStrictEqual(input.getHeldNotes(), []);
+        assert.deepStrictEqual(log.slice(2).sort(), ['off 60', 'off 64']);
+    }],
+
+    ['hot-plug and device selection', async () => {
+        const { mock, input, devices } = setup();
+        mock.plug('a', 'Keys A');
+        await input.connect();
+        mock.plug('b', 'Pad B');
+        assert.deepStrictEqual(devices[devices.length - 1], ['Keys A', 'Pad B']);
+        input.setDevice('b');
+        mock.send('a', 0x90, 60, 100);
+        mock.send('b', 0x90, 62, 100);
+        assert.deepStrictEqual(input.getHeldNotes(), [62]);
+        input.setDevice(null);
+        mock.send('a', 0x90, 60, 100);
+        assert.deepStrictEqual(input.getHeldNotes(), [62, 60]);
+    }],
+
+    ['device removal releases its notes', async () => {
+        const { mock, input, log, devices } = setup();
+        mock.plug('a', 'Keys A');
+        mock.plug('b', 'Pad B');
+        await input.connect();
+        mock.send('a', 0x90, 60, 100);
+        mock.send('b', 0x90, 62, 100);
+        mock.unplug('b');
+        assert.deepStrictEqual(devices[devices.length - 1], ['Keys A']);
+        assert.ok(log.includes('off 62'), 'notes of the removed device are released');
+        assert.deepStrictEqual(input.getHeldNotes(), [60]);
+        assert.strictEqual(mock.access.inputs.get('b').onmidimessage, null);
+    }],
+
+    ['denied access rejects connect()', async () => {
+        const { createMidiInput } = midiInputModule;
+        const input = createMidiInput({ requestAccess: () => Promise.reject(new Error('denied')) });
+        await assert.rejects(input.connect(), /denied/);
+        assert.strictEqual(input.isConnected(), false);
+    }]
+];
+
+async function main() {
+    midiInputModule = await import('./midiInput.js');
+
+    let failed = 0;
+    for (const [name, run] of checks) {
+        try {
+            await run();
+            console.log(`ok    ${name}`);
+        } catch (err) {
+            failed++;
+            console.log(`FAIL  ${name}\n      ${(err && err.message) || err}`);
+        }
+    }
+    console.log(`\n${checks.length - failed} of ${checks.length} checks passed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main();
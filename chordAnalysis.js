@@ -0,0 +1,391 @@
+import { getScalePitchClasses, getModeCharacteristicNotes, addProbabilities } from "./scaleDetector.js";
+import { NOTE_NAMES, spellKey, spellAbove } from "./noteSpelling.js";
+
+export {
+    CHORD_TYPES,
+    ticksToSeconds,
+    buildGrid,
+    detectChord,
+    chordName,
+    chordToneNames,
+    analyzeChords,
+    romanNumeral,
+    classifyChord,
+    applyCadenceBonus,
+    buildChordPalette
+};
+
+// Chord templates: intervals above the root. `upper` = Roman numeral case.
+const CHORD_TYPES = [
+    { id: "maj",   intervals: [0, 4, 7],     suffix: "",     roman: "",      upper: true },
+    { id: "min",   intervals: [0, 3, 7],     suffix: "m",    roman: "",      upper: false },
+    { id: "dim",   intervals: [0, 3, 6],     suffix: "dim",  roman: "°",     upper: false },
+    { id: "aug",   intervals: [0, 4, 8],     suffix: "aug",  roman: "+",     upper: true },
+    { id: "sus2",  intervals: [0, 2, 7],     suffix: "sus2", roman: "sus2",  upper: true },
+    { id: "sus4",  intervals: [0, 5, 7],     suffix: "sus4", roman: "sus4",  upper: true },
+    { id: "7",     intervals: [0, 4, 7, 10], suffix: "7",    roman: "7",     upper: true },
+    { id: "maj7",  intervals: [0, 4, 7, 11], suffix: "maj7", roman: "maj7",  upper: true },
+    { id: "m7",    intervals: [0, 3, 7, 10], suffix: "m7",   roman: "7",     upper: false },
+    { id: "m7b5",  intervals: [0, 3, 6, 10], suffix: "m7b5", roman: "ø7",    upper: false },
+    { id: "dim7",  intervals: [0, 3, 6, 9],  suffix: "dim7", roman: "°7",    upper: false },
+    { id: "mMaj7", intervals: [0, 3, 7, 11], suffix: "mMaj7", roman: "(maj7)", upper: false }
+];
+
+const NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+// Inversion figures by chord-tone index of the bass (triads / sevenths)
+const TRIAD_FIGURES = ["", "6", "64"];
+const SEVENTH_FIGURES = ["7", "65", "43", "42"];
+
+function pcOf(n) {
+    return ((n % 12) + 12) % 12;
+}
+
+// Plain-text names per pitch class in a key (noteSpelling.js), NOTE_NAMES without one
+function namesFor(root, mode) {
+    return spellKey(root, mode)?.names ?? NOTE_NAMES;
+}
+
+// Names of `chord.tones` spelled up from the root's name: stacked thirds,
+// or the 2nd/4th of a sus chord ("D#" -> D# F## A# for a major triad)
+function chordToneNames(chord, rootName) {
+    const type = CHORD_TYPES.find(t => t.id === chord.type);
+    const letters = type.id === "sus2" ? [0, 1, 4] : type.id === "sus4" ? [0, 3, 4] : type.intervals.map((_, i) => 2 * i);
+    return type.intervals.map((interval, i) => spellAbove(rootName, interval, letters[i]));
+}
+
+// "Ebm7", "G#/B#": `chord` (detectChord() shape) with its root from `names`
+// (12 plain-text names, e.g. spellKey(...).names); a bass that is a chord
+// tone is spelled from the root
+function chordName(chord, names = NOTE_NAMES) {
+    const type = CHORD_TYPES.find(t => t.id === chord.type);
+    const root = names[chord.root];
+    let bass = "";
+    if (chord.bass != null) {
+        const index = chord.tones.indexOf(chord.bass);
+        bass = `/${index > 0 ? chordToneNames(chord, root)[index] : names[chord.bass]}`;
+    }
+    return `${root}${type.suffix}${bass}`;
+}
+
+// header: { ppq, tempos: [{ ticks, bpm }] }
+function ticksToSeconds(ticks, header) {
+    const ppq = header?.ppq || 480;
+    const tempos = (header?.tempos || []).slice().sort((a, b) => a.ticks - b.ticks);
+    let seconds = 0;
+    let lastTicks = 0;
+    let bpm = 120;
+    for (const t of tempos) {
+        if (t.ticks >= ticks) break;
+        seconds += ((t.ticks - lastTicks) / ppq) * (60 / bpm);
+        lastTicks = t.ticks;
+        bpm = t.bpm;
+    }
+    return seconds + ((ticks - lastTicks) / ppq) * (60 / bpm);
+}
+
+// Bar (or beat) boundaries in ticks up to `endTicks`, following time-signature changes.
+// Returns [{ startTicks, endTicks, bar }] where `bar` is 1-based.
+function buildGrid(header, endTicks, unit = "bar") {
+    const ppq = header?.ppq || 480;
+    const signatures = (header?.timeSignatures || []).slice().sort((a, b) => a.ticks - b.ticks);
+    if (signatures.length === 0 || signatures[0].ticks > 0) {
+        signatures.unshift({ ticks: 0, timeSignature: [4, 4] });
+    }
+
+    const grid = [];
+    let tick = 0;
+    let bar = 1;
+    let sigIndex = 0;
+    while (tick < endTicks) {
+        while (sigIndex + 1 < signatures.length && signatures[sigIndex + 1].ticks <= tick) sigIndex++;
+        const [num, den] = signatures[sigIndex].timeSignature;
+        const beatTicks = ppq * (4 / den);
+        const barTicks = beatTicks * num;
+        const nextSig = signatures[sigIndex + 1];
+        // A new signature starts a new bar even if the previous one is incomplete
+        const barEnd = nextSig ? Math.min(tick + barTicks, nextSig.ticks) : tick + barTicks;
+
+        if (unit === "beat") {
+            for (let t = tick; t < barEnd && t < endTicks; t += beatTicks) {
+                grid.push({ startTicks: t, endTicks: Math.min(t + beatTicks, barEnd), bar });
+            }
+        } else {
+            grid.push({ startTicks: tick, endTicks: barEnd, bar });
+        }
+        tick = barEnd;
+        bar++;
+    }
+    return grid;
+}
+
+// Best chord for one segment. `noteWeights` = Map<pc, weight>, `bass` = pc or null.
+// Returns { root, type, bass, tones, name } or null when nothing fits.
+function detectChord(noteWeights, bass = null) {
+    let total = 0;
+    for (const w of noteWeights.values()) total += w;
+    if (total <= 0 || noteWeights.size < 2) return null;
+
+    let best = null;
+    for (let root = 0; root < 12; root++) {
+        if (!noteWeights.get(root)) continue; // the root has to sound
+        for (const type of CHORD_TYPES) {
+            const tones = type.intervals.map(i => pcOf(root + i));
+            let covered = 0;
+            let missingTones = 0;
+            for (const pc of tones) {
+                const w = noteWeights.get(pc) || 0;
+                covered += w;
+                if (w === 0) missingTones++;
+            }
+            const outside = total - covered;
+
+            let score = (covered - outside) / total;
+            score -= missingTones * 0.25;
+            score -= (tones.length - 3) * 0.05; // prefer the simpler chord on ties
+            if (bass === root) score += 0.1;
+
+            if (!best || score > best.score) {
+                best = { root, type, tones, score };
+            }
+        }
+    }
+    if (!best || best.score <= 0) return null;
+
+    const slashBass = bass != null && bass !== best.root ? bass : null;
+    const chord = {
+        root: best.root,
+        type: best.type.id,
+        bass: slashBass,
+        tones: best.tones
+    };
+    return { ...chord, name: chordName(chord) };
+}
+
+// Chord per bar (or beat) over note events ({ midi, pc, time, duration, ticks, durationTicks }).
+// Consecutive segments with the same chord are merged.
+// Returns [{ startTicks, endTicks, start, end, bar, chord, weight }]; chord is null for N.C.
+function analyzeChords(events, header, { unit = "bar" } = {}) {
+    const notes = (events || []).filter(e => e.durationTicks > 0);
+    if (notes.length === 0) return [];
+
+    // reduce, not Math.max(...): spreading a large file's notes overflows the stack
+    const endTicks = notes.reduce((max, e) => Math.max(max, e.ticks + e.durationTicks), 0);
+    const segments = [];
+
+    for (const cell of buildGrid(header, endTicks, unit)) {
+        const noteWeights = new Map();
+        let bassMidi = null;
+        const length = cell.endTicks - cell.startTicks;
+
+        for (const e of notes) {
+            const overlap = Math.min(cell.endTicks, e.ticks + e.durationTicks) - Math.max(cell.startTicks, e.ticks);
+            if (overlap <= 0) continue;
+            noteWeights.set(e.pc, (noteWeights.get(e.pc) || 0) + overlap);
+            // Bass: lowest note that sounds for a good part of the segment
+            if (overlap >= length / 4 && (bassMidi == null || e.midi < bassMidi)) bassMidi = e.midi;
+        }
+
+        const chord = detectChord(noteWeights, bassMidi == null ? null : pcOf(bassMidi));
+        const start = ticksToSeconds(cell.startTicks, header);
+        const end = ticksToSeconds(cell.endTicks, header);
+
+        // Weight in seconds, comparable with the file's noteWeights
+        let weight = 0;
+        for (const w of noteWeights.values()) weight += w;
+        weight *= length > 0 ? (end - start) / length : 0;
+
+        const last = segments[segments.length - 1];
+        if (last && (last.chord?.name ?? null) === (chord?.name ?? null)) {
+            last.endTicks = cell.endTicks;
+            last.end = end;
+            last.weight += weight;
+        } else {
+            segments.push({ startTicks: cell.startTicks, endTicks: cell.endTicks, start, end, bar: cell.bar, chord, weight });
+        }
+    }
+
+    return segments;
+}
+
+function hasMajorThird(root, mode) {
+    const notes = getModeCharacteristicNotes(root, mode);
+    return !!notes && notes.characteristic[0] === pcOf(root + 4);
+}
+
+// Roman numeral of `chord` in the key (root, mode), e.g. "V7", "ii6", "bVII", "#iv°"
+function romanNumeral(chord, root, mode) {
+    if (!chord) return "N.C.";
+    const type = CHORD_TYPES.find(t => t.id === chord.type);
+    const names = namesFor(root, mode);
+    let scale = getScalePitchClasses(root, mode);
+    if (scale.length !== NUMERALS.length) {
+        // Numerals need seven degrees; read other scales against Major/Minor
+        scale = getScalePitchClasses(root, hasMajorThird(root, mode) ? "Major" : "Minor");
+    }
+    const interval = pcOf(chord.root - root);
+    const degrees = scale.map(pc => pcOf(pc - root));
+
+    let numeral;
+    const degreeIndex = degrees.indexOf(interval);
+    if (degreeIndex !== -1 && degreeIndex < NUMERALS.length) {
+        numeral = NUMERALS[degreeIndex];
+    } else {
+        // Chromatic root: flat of the degree above or sharp of the degree below
+        const above = degrees.indexOf(pcOf(interval + 1));
+        const below = degrees.indexOf(pcOf(interval - 1));
+        const minorKey = !hasMajorThird(root, mode);
+        const preferSharp = above === -1 || above === 0 || above === 4
+            || (minorKey && (interval === 9 || interval === 11));
+        if (below !== -1 && below < NUMERALS.length && (preferSharp || above >= NUMERALS.length)) {
+            numeral = `#${NUMERALS[below]}`;
+        } else if (above !== -1 && above < NUMERALS.length) {
+            numeral = `b${NUMERALS[above]}`;
+        } else {
+            numeral = `(${names[chord.root]})`;
+        }
+    }
+
+    if (!type.upper) numeral = numeral.toLowerCase();
+
+    let figure = "";
+    if (chord.bass != null) {
+        const toneIndex = chord.tones.indexOf(chord.bass);
+        if (toneIndex > 0) {
+            figure = chord.tones.length === 4 ? SEVENTH_FIGURES[toneIndex] : TRIAD_FIGURES[toneIndex];
+        } else {
+            figure = `/${names[chord.bass]}`;
+        }
+    }
+
+    // Sevenths show their figure in place of the plain "7"
+    const quality = (figure && chord.tones.length === 4) ? type.roman.replace("7", "") : type.roman;
+    return `${numeral}${quality}${figure}`;
+}
+
+// "diatonic" | "borrowed" (from the parallel Major/Minor) | "chromatic"
+function classifyChord(chord, root, mode) {
+    if (!chord) return "none";
+    const fits = (scaleName) => {
+        const scale = getScalePitchClasses(root, scaleName);
+        return scale.length > 0 && chord.tones.every(pc => scale.includes(pc));
+    };
+
+    // In minor, the raised 6th/7th (harmonic/melodic minor) count as diatonic
+    const own = mode === "Minor" ? ["Minor", "Harmonic Minor", "Melodic Minor"] : [mode];
+    if (own.some(fits)) return "diatonic";
+
+    const parallel = hasMajorThird(root, mode) ? ["Minor", "Harmonic Minor"] : ["Major"];
+    if (parallel.some(fits)) return "borrowed";
+    return "chromatic";
+}
+
+// Boost keys that have V-I cadences in the chord progression: each dominant
+// (major triad or dominant 7th a fifth above the tonic) resolving to the
+// key's tonic triad adds `cadenceWeight` x the resolution segment's weight.
+// Only keys with a leading tone (or natural Minor, where V is usually raised)
+// get the bonus, so a V-I cadence argues for C Major over C Mixolydian.
+// Re-sorts `matches` and refreshes probabilities; returns a new array.
+// rankKeys() in scaleDetector.js applies it for the weighted algorithm.
+function applyCadenceBonus(matches, chordSegments, { cadenceWeight = 1.0, totalWeight, calibration } = {}) {
+    const chords = (chordSegments || []).filter(s => s.chord);
+    if (chords.length < 2) return matches;
+
+    const boosted = matches.map(m => {
+        const majorKey = hasMajorThird(m.root, m.name);
+        const hasLeadingTone = m.name === "Minor" || getScalePitchClasses(m.root, m.name).includes(pcOf(m.root + 11));
+        if (!hasLeadingTone) return { ...m };
+        let bonus = 0;
+        for (let i = 1; i < chords.length; i++) {
+            const dominant = chords[i - 1].chord;
+            const tonic = chords[i].chord;
+            const isDominant = dominant.root === pcOf(m.root + 7) && (dominant.type === "maj" || dominant.type === "7");
+            const isTonic = tonic.root === m.root && tonic.type === (majorKey ? "maj" : "min");
+            if (isDominant && isTonic) bonus += cadenceWeight * chords[i].weight;
+        }
+        return bonus > 0 ? { ...m, score: m.score + bonus, cadenceBonus: bonus } : { ...m };
+    });
+
+    boosted.sort((a, b) => {
+        if (b.score !== a.score) {
+            return b.score - a.score;
+        }
+        return a.missing - b.missing;
+    });
+
+    if (boosted[0]?.probability !== undefined && totalWeight > 0) {
+        addProbabilities(boosted, totalWeight, calibration);
+    }
+    return boosted;
+}
+
+// Borrowed chords offered in the palette: [semitones above the tonic, chord type].
+// Major borrows from the parallel Minor (iv, bVI, bVII, bIII, ii°, i);
+// Minor gets the raised-7th dominants, the Dorian/Major IV and the Picardy I.
+const COMMON_BORROWED = {
+    Major: [[5, "min"], [8, "maj"], [10, "maj"], [3, "maj"], [2, "dim"], [0, "min"]],
+    Minor: [[7, "maj"], [7, "7"], [11, "dim7"], [5, "maj"], [0, "maj"]]
+};
+// Scale the borrowed roots are spelled in (bVI = Cb in Eb Major, vii°7 = F## in G# Minor)
+const BORROWED_SPELLING = { Major: "Minor", Minor: "Harmonic Minor" };
+
+function chordFromType(rootPc, typeId, names) {
+    const type = CHORD_TYPES.find(t => t.id === typeId);
+    const chord = {
+        root: rootPc,
+        type: type.id,
+        bass: null,
+        tones: type.intervals.map(i => pcOf(rootPc + i))
+    };
+    return { ...chord, name: chordName(chord, names), toneNames: chordToneNames(chord, names[rootPc]) };
+}
+
+// Chords to sketch with in a key: the diatonic triads and seventh chords on
+// each degree, plus common borrowed chords (Major/Minor only). Scales without
+// seven degrees use Major or Minor on the same tonic (`basis`). Chord names
+// are spelled in the basis key (Ab, not G#, in C Minor).
+// Each chord = detectChord() shape + { numeral, kind, midis, toneNames } (`midis`:
+// root-position voicing from the tonic below middle C).
+// Returns { basis: { root, name }, triads, sevenths, borrowed }.
+function buildChordPalette(root, mode) {
+    const tonic = pcOf(root);
+    let basisMode = mode;
+    if (getScalePitchClasses(tonic, mode).length !== NUMERALS.length) {
+        basisMode = hasMajorThird(tonic, mode) ? "Major" : "Minor";
+    }
+    const degrees = getScalePitchClasses(tonic, basisMode).map(pc => pcOf(pc - tonic));
+    const base = 48 + tonic;
+    const names = namesFor(tonic, basisMode);
+
+    const entry = (interval, typeId, rootNames = names) => {
+        const chord = chordFromType(pcOf(tonic + interval), typeId, rootNames);
+        const type = CHORD_TYPES.find(t => t.id === typeId);
+        return {
+            ...chord,
+            numeral: romanNumeral(chord, tonic, basisMode),
+            kind: classifyChord(chord, tonic, basisMode),
+            midis: type.intervals.map(i => base + interval + i)
+        };
+    };
+
+    // Stack every other scale degree; shapes without a template (e.g. the
+    // augmented major seventh in harmonic minor) are left out
+    const stacked = (size) => degrees.map((interval, d) => {
+        const intervals = Array.from({ length: size }, (_, k) => {
+            const step = d + 2 * k;
+            return degrees[step % degrees.length] + 12 * Math.floor(step / degrees.length) - interval;
+        });
+        const type = CHORD_TYPES.find(t => t.intervals.join() === intervals.join());
+        return type ? entry(interval, type.id) : null;
+    }).filter(Boolean);
+
+    const borrowedNames = namesFor(tonic, BORROWED_SPELLING[basisMode]);
+    const borrowed = (COMMON_BORROWED[basisMode] || []).map(([interval, typeId]) => entry(interval, typeId, borrowedNames));
+
+    return {
+        basis: { root: tonic, name: basisMode },
+        triads: stacked(3),
+        sevenths: stacked(4),
+        borrowed
+    };
+}
@@ -0,0 +1,108 @@
+import { buildChordPalette } from './chordAnalysis.js';
+import { formatKeyLabel, formatNoteName } from './noteSpelling.js';
+
+const GROUPS = [
+    { id: 'triads', label: 'Triads' },
+    { id: 'sevenths', label: 'Seventh chords' },
+    { id: 'borrowed', label: 'Borrowed' }
+];
+
+// Clickable diatonic and borrowed chords of one key (buildChordPalette() in
+// chordAnalysis.js). `onSelect(chord)` fires when a chord is clicked (it stays
+// marked), and `onSelect(null)` when the key change drops the marked chord.
+export function createChordPalette({ mountEl, onSelect }) {
+    if (!mountEl) {
+        throw new Error('createChordPalette: mountEl is required');
+    }
+
+    let key = null; // { root, name } | null
+    let palette = null;
+    let active = null; // 'group:index' | null
+
+    function render() {
+        if (!palette) {
+            mountEl.innerHTML = '';
+            mountEl.classList.add('hidden');
+            return;
+        }
+        mountEl.classList.remove('hidden');
+
+        const keyLabel = formatKeyLabel(key.root, key.name);
+        const basis = palette.basis;
+        const basisNote = basis.name !== key.name
+            ? `<div class="hint-text">${keyLabel} has no seven degrees; showing the chords of ${formatKeyLabel(basis.root, basis.name)}.</div>`
+            : '';
+
+        const groups = GROUPS.map(({ id, label }) => {
+            const chords = palette[id];
+            if (!chords || chords.length === 0) return '';
+            const cells = chords.map((chord, i) => {
+                const ref = `${id}:${i}`;
+                const notes = chord.toneNames.map(formatNoteName).join(' ');
+                const chordLabel = formatNoteName(chord.name);
+                return `
+                    <button type="button" class="chord-cell chord-cell--${chord.kind} chord-palette-chord${ref === active ? ' is-active' : ''}"
+                            data-chord="${ref}" aria-pressed="${ref === active ? 'true' : 'false'}" title="Play ${chordLabel}">
+                        <span class="chord-name">${chordLabel}</span>
+                        <span class="chord-roman">${chord.numeral}</span>
+                        <span class="chord-bar">${notes}</span>
+                    </button>
+                `;
+            }).join('');
+            return `
+                <div class="chord-palette-group">
+                    <div class="chord-palette-label">${label}</div>
+                    <div class="chord-strip-list">${cells}</div>
+                </div>
+            `;
+        }).join('');
+
+        mountEl.innerHTML = `
+            <div class="chord-strip-header">
+                <span>Chord palette in ${keyLabel}</span>
+            </div>
+            ${basisNote}
+            ${groups}
+        `;
+    }
+
+    mountEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-chord]');
+        if (!btn || !palette) return;
+        const [group, index] = btn.dataset.chord.split(':');
+        const chord = palette[group]?.[Number(index)];
+        if (!chord) return;
+        active = btn.dataset.chord;
+        render();
+        if (typeof onSelect === 'function') onSelect(chord);
+    });
+
+    function setKey(nextKey) {
+        const same = key && nextKey && key.root === nextKey.root && key.name === nextKey.name;
+        if (same || (!key && !nextKey)) return;
+        key = nextKey ? { root: nextKey.root, name: nextKey.name } : null;
+        palette = key ? buildChordPalette(key.root, key.name) : null;
+        dropActive();
+        render();
+    }
+
+    function dropActive() {
+        if (active === null) return;
+        active = null;
+        if (typeof onSelect === 'function') onSelect(null);
+    }
+
+    function clear() {
+        key = null;
+        palette = null;
+        dropActive();
+        render();
+    }
+
+    render();
+
+    return {
+        setKey,
+        clear
+    };
+}
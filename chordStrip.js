@@ -0,0 +1,98 @@
+import { romanNumeral, classifyChord, chordName } from './chordAnalysis.js';
+import { spellKey, formatKeyLabel, formatNoteName } from './noteSpelling.js';
+
+const STATUS_LABELS = {
+    borrowed: 'borrowed from the parallel key',
+    chromatic: 'non-diatonic'
+};
+
+// Horizontal strip of detected chords (from analyzeChords() in chordAnalysis.js)
+// with Roman numerals in the current key. `onUnitChange('bar' | 'beat')`
+// fires when the segmentation select changes.
+export function createChordStrip({ mountEl, onUnitChange }) {
+    if (!mountEl) {
+        throw new Error('createChordStrip: mountEl is required');
+    }
+
+    let segments = [];
+    let key = null; // { root, name } | null
+    let unit = 'bar';
+
+    function render() {
+        const chords = segments.filter((seg) => seg.chord);
+        if (chords.length === 0) {
+            mountEl.innerHTML = '';
+            mountEl.classList.add('hidden');
+            return;
+        }
+        mountEl.classList.remove('hidden');
+
+        const keyLabel = key ? formatKeyLabel(key.root, key.name) : '';
+        // Chord roots spelled in the key (Ab in Eb Major, G# in E Major)
+        const names = key ? spellKey(key.root, key.name)?.names : null;
+        const cells = segments.map((seg) => {
+            const status = key ? classifyChord(seg.chord, key.root, key.name) : 'none';
+            const roman = key && seg.chord ? romanNumeral(seg.chord, key.root, key.name) : '';
+            const name = seg.chord ? formatNoteName(names ? chordName(seg.chord, names) : seg.chord.name) : 'N.C.';
+            const statusText = STATUS_LABELS[status] ? ` · ${STATUS_LABELS[status]}` : '';
+            return `
+                <div class="chord-cell chord-cell--${status}" title="Bar ${seg.bar}${statusText}">
+                    <span class="chord-name">${name}</span>
+                    <span class="chord-roman">${roman}</span>
+                    <span class="chord-bar">${seg.bar}</span>
+                </div>
+            `;
+        }).join('');
+
+        mountEl.innerHTML = `
+            <div class="chord-strip-header">
+                <span>Chords${keyLabel ? ` in ${keyLabel}` : ''}</span>
+                <label class="kb-select">
+                    <span class="kb-select-label">Per</span>
+                    <select data-action="chord-unit" aria-label="Chord segmentation">
+                        <option value="bar"${unit === 'bar' ? ' selected' : ''}>Bar</option>
+                        <option value="beat"${unit === 'beat' ? ' selected' : ''}>Beat</option>
+                    </select>
+                </label>
+            </div>
+            <div class="chord-strip-list">${cells}</div>
+            <div class="chord-strip-legend">
+                <span class="chord-legend chord-legend--borrowed">Borrowed</span>
+                <span class="chord-legend chord-legend--chromatic">Non-diatonic</span>
+            </div>
+        `;
+    }
+
+    mountEl.addEventListener('change', (e) => {
+        const select = e.target.closest('[data-action="chord-unit"]');
+        if (!select) return;
+        unit = select.value === 'beat' ? 'beat' : 'bar';
+        if (typeof onUnitChange === 'function') onUnitChange(unit);
+    });
+
+    function setSegments(nextSegments) {
+        segments = (nextSegments || []).slice();
+        render();
+    }
+
+    function setKey(nextKey) {
+        const same = key && nextKey && key.root === nextKey.root && key.name === nextKey.name;
+        if (same || (!key && !nextKey)) return;
+        key = nextKey ? { root: nextKey.root, name: nextKey.name } : null;
+        render();
+    }
+
+    function clear() {
+        segments = [];
+        key = null;
+        render();
+    }
+
+    render();
+
+    return {
+        setSegments,
+        setKey,
+        clear
+    };
+}
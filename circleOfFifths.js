@@ -0,0 +1,205 @@
+import { spellKey, formatNoteName, describeKeySignature } from './noteSpelling.js';
+
+const SHADES = [
+    { id: 'match', label: 'Match %' },
+    { id: 'score', label: 'Score' }
+];
+
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const OUTER = 152; // major ring: OUTER..MIDDLE
+const MIDDLE = 108; // minor ring: MIDDLE..INNER
+const INNER = 66;
+
+// Ring position (0 = top, clockwise by fifths) of a Major or Minor key
+function positionOf(root, name) {
+    const majorRoot = name === 'Minor' ? (root + 3) % 12 : root;
+    return (majorRoot * 7) % 12;
+}
+
+function point(radius, angleDeg) {
+    const a = (angleDeg * Math.PI) / 180;
+    return `${(CENTER + radius * Math.cos(a)).toFixed(2)} ${(CENTER + radius * Math.sin(a)).toFixed(2)}`;
+}
+
+function sectorPath(position, outer, inner) {
+    const mid = -90 + position * 30;
+    const a0 = mid - 15;
+    const a1 = mid + 15;
+    return `M ${point(outer, a0)} A ${outer} ${outer} 0 0 1 ${point(outer, a1)} L ${point(inner, a1)} A ${inner} ${inner} 0 0 0 ${point(inner, a0)} Z`;
+}
+
+function ringRadius(name) {
+    return name === 'Minor' ? (MIDDLE + INNER) / 2 : (OUTER + MIDDLE) / 2;
+}
+
+function keyName(root, name) {
+    const spelled = spellKey(root, name);
+    return spelled ? formatNoteName(spelled.tonic) : '';
+}
+
+// Major keys on the outer ring and minor keys on the inner one, shaded by
+// how well they fit (match % or ranking score), with the best guess and the
+// applied key marked and links from the focused key to its relative and
+// parallel keys. `onSelect(root, mode)` fires when a key is clicked.
+export function createCircleOfFifths({ mountEl, onSelect }) {
+    if (!mountEl) {
+        throw new Error('createCircleOfFifths: mountEl is required');
+    }
+
+    let keys = null; // [{ root, name, score, inPct }] for the 24 keys | null
+    let best = null; // { root, name } | null
+    let applied = null; // { root, name } | null
+    let shade = 'match';
+
+    mountEl.innerHTML = `
+        <div class="circle-of-fifths-header">
+            <span>Circle of fifths</span>
+            <label class="kb-select">
+                <span class="kb-select-label">Shade by</span>
+                <select data-field="shade" aria-label="Shade keys by">
+                    ${SHADES.map((s) => `<option value="${s.id}">${s.label}</option>`).join('')}
+                </select>
+            </label>
+        </div>
+        <div class="circle-of-fifths-svg" data-role="circle"></div>
+        <div class="hint-text circle-of-fifths-legend">
+            <span class="cof-legend cof-legend--best">Best guess</span>
+            <span class="cof-legend cof-legend--applied">Applied</span>
+            <span class="cof-legend cof-legend--relative">Relative</span>
+            <span class="cof-legend cof-legend--parallel">Parallel</span>
+        </div>
+    `;
+
+    const shadeSelect = mountEl.querySelector('[data-field="shade"]');
+    const circleEl = mountEl.querySelector('[data-role="circle"]');
+
+    // 0..1 per key for the current shading
+    function levels() {
+        if (shade === 'match') {
+            return keys.map((k) => Math.max(0, Math.min(1, (k.inPct || 0) / 100)));
+        }
+        const scores = keys.map((k) => k.score).filter(Number.isFinite);
+        const max = Math.max(...scores);
+        const min = Math.min(...scores);
+        return keys.map((k) => {
+            if (!Number.isFinite(k.score)) return 0;
+            return max > min ? (k.score - min) / (max - min) : 1;
+        });
+    }
+
+    function render() {
+        if (!keys) {
+            circleEl.innerHTML = '';
+            mountEl.classList.add('hidden');
+            return;
+        }
+        mountEl.classList.remove('hidden');
+
+        const focus = applied || best;
+        const fill = levels();
+
+        const sectors = keys.map((k, i) => {
+            const position = positionOf(k.root, k.name);
+            const minor = k.name === 'Minor';
+            const name = keyName(k.root, k.name);
+            const label = `${name}${minor ? 'm' : ''}`;
+            const isBest = !!best && best.root === k.root && best.name === k.name;
+            const isApplied = !!applied && applied.root === k.root && applied.name === k.name;
+            const level = fill[i];
+            const classes = [
+                'cof-key',
+                isBest ? 'cof-key--best' : '',
+                isApplied ? 'cof-key--applied' : '',
+                level > 0.6 ? 'cof-key--strong' : ''
+            ].filter(Boolean).join(' ');
+            const spelled = spellKey(k.root, k.name);
+            const details = [
+                `${k.inPct ?? 0}% match`,
+                spelled ? describeKeySignature(spelled.accidentals) : '',
+                isBest ? 'best guess' : '',
+                isApplied ? 'applied' : ''
+            ].filter(Boolean).join(', ');
+            const [x, y] = point(ringRadius(k.name), -90 + position * 30).split(' ');
+
+            return `
+                <g class="${classes}" data-cof-root="${k.root}" data-cof-mode="${k.name}" role="button" tabindex="0"
+                   aria-label="${name} ${k.name} (${details})">
+                    <title>${name} ${k.name}: ${details}</title>
+                    <path class="cof-key-shape" d="${sectorPath(position, minor ? MIDDLE : OUTER, minor ? INNER : MIDDLE)}"
+                          style="fill-opacity: ${(0.06 + level * 0.84).toFixed(2)}" />
+                    <text class="cof-key-label" x="${x}" y="${y}" text-anchor="middle" dominant-baseline="central">${label}</text>
+                </g>
+            `;
+        }).join('');
+
+        // Links from the focused key to its relative and parallel keys
+        let links = '';
+        let center = '';
+        if (focus && (focus.name === 'Major' || focus.name === 'Minor')) {
+            const from = point(ringRadius(focus.name) + (focus.name === 'Minor' ? 8 : -8), -90 + positionOf(focus.root, focus.name) * 30);
+            const relative = focus.name === 'Major'
+                ? { root: (focus.root + 9) % 12, name: 'Minor' }
+                : { root: (focus.root + 3) % 12, name: 'Major' };
+            const parallel = { root: focus.root, name: focus.name === 'Major' ? 'Minor' : 'Major' };
+            links = [['relative', relative], ['parallel', parallel]].map(([kind, key]) => {
+                const to = point(ringRadius(key.name) + (key.name === 'Minor' ? 8 : -8), -90 + positionOf(key.root, key.name) * 30);
+                return `<path class="cof-link cof-link--${kind}" d="M ${from} L ${to}" />`;
+            }).join('');
+            center = `
+                <text class="cof-center" x="${CENTER}" y="${CENTER - 8}" text-anchor="middle">${keyName(focus.root, focus.name)} ${focus.name}</text>
+                <text class="cof-center cof-center--small" x="${CENTER}" y="${CENTER + 12}" text-anchor="middle">${describeKeySignature(spellKey(focus.root, focus.name).accidentals)}</text>
+            `;
+        }
+
+        circleEl.innerHTML = `
+            <svg viewBox="0 0 ${SIZE} ${SIZE}" width="${SIZE}" height="${SIZE}" role="group" aria-label="Circle of fifths">
+                ${sectors}
+                ${links}
+                ${center}
+            </svg>
+        `;
+    }
+
+    function select(target) {
+        const keyEl = target.closest('[data-cof-root]');
+        if (!keyEl || typeof onSelect !== 'function') return;
+        onSelect(Number(keyEl.dataset.cofRoot), keyEl.dataset.cofMode);
+    }
+
+    circleEl.addEventListener('click', (e) => select(e.target));
+    circleEl.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        if (!e.target.closest('[data-cof-root]')) return;
+        e.preventDefault();
+        select(e.target);
+    });
+
+    shadeSelect.addEventListener('change', () => {
+        shade = shadeSelect.value;
+        render();
+    });
+
+    // `nextKeys`: the 24 Major/Minor keys as { root, name, score, inPct };
+    // `bestKey`/`appliedKey`: { root, name } or null
+    function setKeys(nextKeys, { best: bestKey = null, applied: appliedKey = null } = {}) {
+        keys = nextKeys && nextKeys.length > 0 ? nextKeys.slice() : null;
+        best = bestKey ? { root: bestKey.root, name: bestKey.name } : null;
+        applied = appliedKey ? { root: appliedKey.root, name: appliedKey.name } : null;
+        render();
+    }
+
+    function clear() {
+        keys = null;
+        best = null;
+        applied = null;
+        render();
+    }
+
+    render();
+
+    return {
+        setKeys,
+        clear
+    };
+}
@@ -0,0 +1,12 @@
+export {
+    escapeHtml
+};
+
+// Text made safe for HTML content and double-quoted attribute values
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,425 @@
+import { rankKeys, getScalePitchClasses, getScales, midiToNoteName } from "./scaleDetector.js";
+import { escapeHtml } from "./escapeHtml.js";
+
+export {
+    ERROR_TYPES,
+    TOP_K,
+    LABEL_SOURCES,
+    LABELED_SCALES,
+    parseLabeledFilename,
+    labelFromDeclaredKeys,
+    getTrueKey,
+    rankLabeledScales,
+    evaluate,
+    classifyKeyError,
+    diffReports,
+    formatReportText,
+    buildReportHtml,
+    buildDiffHtml,
+    reportToJson,
+    reportToHtml
+};
+
+// Accuracy report for a labeled set: top-k accuracy, confusion matrix,
+// error types and the rank of the true key per file. Reports are plain
+// JSON, so two runs (e.g. before/after a scoring change) can be diffed.
+
+// Wrong top-1 guesses, by how the guess relates to the true key
+const ERROR_TYPES = ["relative", "parallel", "dominant", "subdominant", "other"];
+
+const TOP_K = [1, 2, 3];
+
+// The scales a label can name (filenames and key signatures are Major/Minor)
+const LABELED_SCALES = ["Major", "Minor"];
+
+function pcOf(n) {
+    return ((n % 12) + 12) % 12;
+}
+
+const NOTE_TO_PC = {
+    "C": 0, "C#": 1, "Db": 1,
+    "D": 2, "D#": 3, "Eb": 3,
+    "E": 4, "F": 5,
+    "F#": 6, "Gb": 6,
+    "G": 7, "G#": 8, "Ab": 8,
+    "A": 9, "A#": 10, "Bb": 10,
+    "B": 11
+};
+
+// True key from a labeled filename, e.g. "C_Major.mid", "G#Minor_MyChords.mid",
+// "Song - Eb minor.mid" -> { root, mode } (null when there is no key + mode in it).
+// The note is an uppercase letter at the start or after a space, "_" or "-",
+// so "Sad_minor.mid" and "Grade_major.mid" carry no label; only the mode
+// ignores case.
+function parseLabeledFilename(filename) {
+    const name = filename.replace(/\.(mid|midi)$/i, "");
+    const match = name.match(/(?:^|[\s_\-])([A-G][#b]?)[\s_\-]*(Major|Minor|major|minor|MAJOR|MINOR)/);
+    if (!match) return null;
+
+    const mode = match[2][0].toUpperCase() + match[2].slice(1).toLowerCase();
+    return { root: NOTE_TO_PC[match[1]], mode };
+}
+
+// Where the true key of a file comes from
+const LABEL_SOURCES = [
+    { id: "filename", label: "Filename (e.g. C_Major.mid)" },
+    { id: "keySignature", label: "Key signature in the file" },
+    { id: "auto", label: "Filename, else key signature" }
+];
+
+// True key from the file's key signatures (getDeclaredKeys): the declared
+// key that covers most of the file -> { root, mode } (null when none)
+function labelFromDeclaredKeys(declaredKeys) {
+    const shares = new Map();
+    for (const k of declaredKeys || []) {
+        const id = `${k.root}-${k.name}`;
+        const entry = shares.get(id) || { root: k.root, mode: k.name, share: 0 };
+        entry.share += k.share ?? 1;
+        shares.set(id, entry);
+    }
+    let best = null;
+    for (const entry of shares.values()) {
+        if (!best || entry.share > best.share) best = entry;
+    }
+    return best ? { root: best.root, mode: best.mode } : null;
+}
+
+// True key of one file, { root, mode, source } or null.
+// `source` is a LABEL_SOURCES id. Don't rank with a key prior on files
+// labeled from their key signature: the label would leak into the guess.
+function getTrueKey({ filename, declaredKeys }, source = "filename") {
+    if (source !== "keySignature") {
+        const fromName = parseLabeledFilename(filename || "");
+        if (fromName && fromName.root !== undefined) return { ...fromName, source: "filename" };
+        if (source === "filename") return null;
+    }
+    const fromSignature = labelFromDeclaredKeys(declaredKeys);
+    return fromSignature ? { ...fromSignature, source: "keySignature" } : null;
+}
+
+function keyLabel(root, mode) {
+    return `${midiToNoteName(root)} ${mode}`;
+}
+
+function pitchSetKey(root, mode) {
+    return getScalePitchClasses(root, mode).slice().sort((a, b) => a - b).join(",");
+}
+
+// "correct" | "relative" (same notes, other tonic, e.g. C Major vs A Minor)
+// | "parallel" (same tonic, Major vs Minor) | "dominant"/"subdominant" (same
+// mode, tonic a fifth above/below) | "other" (incl. other scales on the same
+// tonic, e.g. A Minor vs A Dorian)
+function classifyKeyError(expected, predicted) {
+    if (!predicted) return "other";
+    if (expected.root === predicted.root && expected.mode === predicted.mode) return "correct";
+    if (pitchSetKey(expected.root, expected.mode) === pitchSetKey(predicted.root, predicted.mode)) return "relative";
+    if (expected.root === predicted.root) {
+        const modes = new Set([expected.mode, predicted.mode]);
+        return modes.has("Major") && modes.has("Minor") ? "parallel" : "other";
+    }
+    if (expected.mode === predicted.mode) {
+        const interval = pcOf(predicted.root - expected.root);
+        if (interval === 7) return "dominant";
+        if (interval === 5) return "subdominant";
+    }
+    return "other";
+}
+
+// All 24 Major/Minor keys, then any other predicted key in registry order
+function buildConfusionLabels(files) {
+    const labels = [];
+    for (const mode of ["Major", "Minor"]) {
+        for (let root = 0; root < 12; root++) labels.push({ root, mode });
+    }
+    const scaleOrder = new Map(getScales().map((s, i) => [s.name, i]));
+    const extra = new Map();
+    for (const f of files) {
+        for (const key of [f.expected, f.predicted]) {
+            if (!key || key.mode === "Major" || key.mode === "Minor") continue;
+            extra.set(`${key.root}-${key.mode}`, { root: key.root, mode: key.mode });
+        }
+    }
+    const rest = [...extra.values()].sort((a, b) =>
+        (scaleOrder.get(a.mode) ?? 999) - (scaleOrder.get(b.mode) ?? 999) || a.root - b.root
+    );
+    return [...labels, ...rest];
+}
+
+// rankKeys for a labeled sample, limited to LABELED_SCALES: a label can only
+// name those, so other scales (modes, Harmonic Minor) would only count as
+// errors. test.html and tune.js both rank through this.
+function rankLabeledScales(sample, params = {}) {
+    return rankKeys(sample.usedNotes, sample.noteWeights, { ...params, families: ["diatonic"], chordSegments: sample.chordSegments })
+        .filter(m => LABELED_SCALES.includes(m.name));
+}
+
+// samples: [{ filename, usedNotes, noteWeights, chordSegments?, expectedRoot, expectedMode }]
+//          (the dataset shape of test.html / tune.js)
+// options: params = scoring params for rankKeys (incl. `algorithm`, `cadenceBonus`),
+//          rank(sample) = custom ranking function (default: rankLabeledScales),
+//          label = name of the run
+function evaluate(samples, { params = {}, rank, label = "" } = {}) {
+    const rankSample = rank || (s => rankLabeledScales(s, params));
+
+    const files = samples.map(sample => {
+        const matches = rankSample(sample);
+        const expected = { root: sample.expectedRoot, mode: sample.expectedMode };
+        const top = matches[0];
+        const predicted = top ? { root: top.root, mode: top.name } : null;
+        const trueIndex = matches.findIndex(m => m.root === expected.root && m.name === expected.mode);
+        return {
+            filename: sample.filename,
+            expected: { ...expected, key: keyLabel(expected.root, expected.mode) },
+            predicted: predicted ? { ...predicted, key: keyLabel(predicted.root, predicted.mode) } : null,
+            // 1-based; null when the true key was not among the candidates
+            rank: trueIndex === -1 ? null : trueIndex + 1,
+            category: classifyKeyError(expected, predicted),
+            probability: top?.probability ?? null
+        };
+    });
+
+    const total = files.length;
+    const topK = TOP_K.map(k => {
+        const correct = files.filter(f => f.rank != null && f.rank <= k).length;
+        return { k, correct, accuracy: total ? correct / total : 0 };
+    });
+
+    const errors = Object.fromEntries(ERROR_TYPES.map(type => [type, 0]));
+    for (const f of files) {
+        if (f.category !== "correct") errors[f.category]++;
+    }
+
+    // matrix[expected][predicted]
+    const labels = buildConfusionLabels(files);
+    const indexOf = new Map(labels.map((l, i) => [`${l.root}-${l.mode}`, i]));
+    const matrix = labels.map(() => labels.map(() => 0));
+    for (const f of files) {
+        if (!f.predicted) continue;
+        const row = indexOf.get(`${f.expected.root}-${f.expected.mode}`);
+        const col = indexOf.get(`${f.predicted.root}-${f.predicted.mode}`);
+        if (row != null && col != null) matrix[row][col]++;
+    }
+
+    // Keep only plain values so the report survives JSON round trips
+    const plainParams = JSON.parse(JSON.stringify(params));
+
+    return {
+        label,
+        createdAt: new Date().toISOString(),
+        params: plainParams,
+        total,
+        topK,
+        errors,
+        confusion: { labels: labels.map(l => keyLabel(l.root, l.mode)), matrix },
+        files
+    };
+}
+
+// Compare two reports (matched by filename): accuracy and error deltas,
+// files that were fixed/broken and every change in the true key's rank.
+function diffReports(before, after) {
+    const beforeFiles = new Map(before.files.map(f => [f.filename, f]));
+    const afterFiles = new Map(after.files.map(f => [f.filename, f]));
+
+    const topK = TOP_K.map(k => {
+        const a = before.topK.find(t => t.k === k);
+        const b = after.topK.find(t => t.k === k);
+        return {
+            k,
+            before: a ? a.accuracy : null,
+            after: b ? b.accuracy : null,
+            delta: a && b ? b.accuracy - a.accuracy : null
+        };
+    });
+
+    const errors = Object.fromEntries(ERROR_TYPES.map(type => {
+        const a = before.errors[type] || 0;
+        const b = after.errors[type] || 0;
+        return [type, { before: a, after: b, delta: b - a }];
+    }));
+
+    const fixed = [];
+    const broken = [];
+    const rankChanges = [];
+    for (const [filename, b] of afterFiles) {
+        const a = beforeFiles.get(filename);
+        if (!a) continue;
+        const wasCorrect = a.category === "correct";
+        const isCorrect = b.category === "correct";
+        if (!wasCorrect && isCorrect) fixed.push(filename);
+        if (wasCorrect && !isCorrect) broken.push(filename);
+        if (a.rank !== b.rank) rankChanges.push({ filename, before: a.rank, after: b.rank });
+    }
+
+    return {
+        before: { label: before.label, createdAt: before.createdAt, total: before.total },
+        after: { label: after.label, createdAt: after.createdAt, total: after.total },
+        topK,
+        errors,
+        fixed,
+        broken,
+        rankChanges,
+        onlyBefore: [...beforeFiles.keys()].filter(f => !afterFiles.has(f)),
+        onlyAfter: [...afterFiles.keys()].filter(f => !beforeFiles.has(f))
+    };
+}
+
+function formatPct(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+function formatDelta(value) {
+    if (value == null) return "–";
+    const points = (value * 100).toFixed(1);
+    return `${value > 0 ? "+" : ""}${points} pts`;
+}
+
+// Short plain-text summary (console / <pre>)
+function formatReportText(report) {
+    const accuracy = report.topK
+        .map(t => `Top-${t.k}: ${t.correct}/${report.total} (${formatPct(t.accuracy)})`)
+        .join("   ");
+    const errors = ERROR_TYPES.map(type => `${type} ${report.errors[type]}`).join(", ");
+    return `${accuracy}\nErrors: ${errors}`;
+}
+
+// Report as an HTML fragment. The confusion matrix only shows keys that
+// occur (as label or guess); the JSON export has the full matrix.
+function buildReportHtml(report, { showFiles = true } = {}) {
+    const accuracyRows = report.topK.map(t =>
+        `<tr><td>Top-${t.k}</td><td>${t.correct} / ${report.total}</td><td>${formatPct(t.accuracy)}</td></tr>`
+    ).join("");
+
+    const wrong = report.total - report.topK[0].correct;
+    const errorRows = ERROR_TYPES.map(type => {
+        const count = report.errors[type];
+        const share = wrong ? ` (${formatPct(count / wrong)} of errors)` : "";
+        return `<tr><td>${type}</td><td>${count}${share}</td></tr>`;
+    }).join("");
+
+    const { labels, matrix } = report.confusion;
+    const used = labels
+        .map((_, i) => i)
+        .filter(i => matrix[i].some(n => n > 0) || matrix.some(row => row[i] > 0));
+    const headerCells = used.map(i => `<th>${escapeHtml(labels[i])}</th>`).join("");
+    const matrixRows = used.map(r => {
+        const cells = used.map(c => {
+            const n = matrix[r][c];
+            const cls = n === 0 ? "" : (r === c ? " class=\"hit\"" : " class=\"miss\"");
+            return `<td${cls}>${n || ""}</td>`;
+        }).join("");
+        return `<tr><th>${escapeHtml(labels[r])}</th>${cells}</tr>`;
+    }).join("");
+
+    const fileRows = report.files
+        .slice()
+        .sort((a, b) => (b.rank ?? Infinity) - (a.rank ?? Infinity) || a.filename.localeCompare(b.filename))
+        .map(f => `
+            <tr class="${f.category === "correct" ? "pass" : "fail"}">
+                <td>${escapeHtml(f.filename)}</td>
+                <td>${escapeHtml(f.expected.key)}</td>
+                <td>${f.predicted ? escapeHtml(f.predicted.key) : "–"}</td>
+                <td>${f.rank ?? "–"}</td>
+                <td>${f.category}</td>
+            </tr>
+        `).join("");
+
+    return `
+        <div class="eval-report">
+            <h2>${escapeHtml(report.label || "Evaluation")}</h2>
+            <p class="muted">${report.total} files · ${escapeHtml(report.createdAt)}</p>
+            <h3>Accuracy</h3>
+            <table class="eval-table">${accuracyRows}</table>
+            <h3>Errors by type</h3>
+            <table class="eval-table">${errorRows}</table>
+            <h3>Confusion matrix (rows: true key, columns: guess)</h3>
+            <div class="eval-scroll">
+                <table class="eval-matrix"><tr><th></th>${headerCells}</tr>${matrixRows}</table>
+            </div>
+            ${showFiles ? `
+                <h3>Per file (worst rank first)</h3>
+                <table class="eval-table">
+                    <tr><th>File</th><th>True key</th><th>Guess</th><th>Rank of true key</th><th>Result</th></tr>
+                    ${fileRows}
+                </table>
+            ` : ""}
+        </div>
+    `;
+}
+
+function buildDiffHtml(diff) {
+    const topKRows = diff.topK.map(t => `
+        <tr>
+            <td>Top-${t.k}</td>
+            <td>${t.before == null ? "–" : formatPct(t.before)}</td>
+            <td>${t.after == null ? "–" : formatPct(t.after)}</td>
+            <td class="${t.delta > 0 ? "pass" : (t.delta < 0 ? "fail" : "")}">${formatDelta(t.delta)}</td>
+        </tr>
+    `).join("");
+
+    const errorRows = ERROR_TYPES.map(type => {
+        const e = diff.errors[type];
+        // Fewer errors is better
+        const cls = e.delta < 0 ? "pass" : (e.delta > 0 ? "fail" : "");
+        return `<tr><td>${type}</td><td>${e.before}</td><td>${e.after}</td><td class="${cls}">${e.delta > 0 ? "+" : ""}${e.delta}</td></tr>`;
+    }).join("");
+
+    const list = (items) => items.length
+        ? `<ul>${items.map(f => `<li>${escapeHtml(f)}</li>`).join("")}</ul>`
+        : "<p class=\"muted\">None.</p>";
+
+    const rankRows = diff.rankChanges.map(r =>
+        `<tr><td>${escapeHtml(r.filename)}</td><td>${r.before ?? "–"}</td><td>${r.after ?? "–"}</td></tr>`
+    ).join("");
+
+    const unmatched = diff.onlyBefore.length + diff.onlyAfter.length;
+
+    return `
+        <div class="eval-diff">
+            <h2>Comparison</h2>
+            <p class="muted">Before: ${escapeHtml(diff.before.label || diff.before.createdAt)} (${diff.before.total} files) → After: ${escapeHtml(diff.after.label || diff.after.createdAt)} (${diff.after.total} files)</p>
+            ${unmatched ? `<p class="muted">${unmatched} files are only in one of the runs and were not compared.</p>` : ""}
+            <table class="eval-table"><tr><th></th><th>Before</th><th>After</th><th>Change</th></tr>${topKRows}</table>
+            <h3>Errors by type</h3>
+            <table class="eval-table"><tr><th></th><th>Before</th><th>After</th><th>Change</th></tr>${errorRows}</table>
+            <h3>Fixed (${diff.fixed.length})</h3>
+            ${list(diff.fixed)}
+            <h3>Broken (${diff.broken.length})</h3>
+            ${list(diff.broken)}
+            <h3>Rank of true key changed (${diff.rankChanges.length})</h3>
+            ${rankRows ? `<table class="eval-table"><tr><th>File</th><th>Before</th><th>After</th></tr>${rankRows}</table>` : "<p class=\"muted\">None.</p>"}
+        </div>
+    `;
+}
+
+function reportToJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+// Standalone HTML page (own styles, no stylesheet needed)
+function reportToHtml(report, diff = null) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(report.label || "Evaluation report")}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 24px; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+    .eval-matrix td { text-align: center; min-width: 24px; }
+    .eval-matrix .hit { background: #d9f2dd; }
+    .eval-matrix .miss { background: #f8dcdc; }
+    .eval-scroll { overflow-x: auto; }
+    .pass { color: #1b7a32; }
+    .fail { color: #b42318; }
+    .muted { color: #666; }
+</style>
+</head>
+<body>
+${diff ? buildDiffHtml(diff) : ""}
+${buildReportHtml(report)}
+</body>
+</html>
+`;
+}
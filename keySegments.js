@@ -0,0 +1,152 @@
+import { findMatchingScalesWeighted } from "./scaleDetector.js";
+
+export {
+    detectKeySegments,
+    buildWindowNoteWeights
+};
+
+// Key-change (modulation) detection.
+// Runs the weighted scorer over sliding windows of the note timeline, smooths
+// the per-window scores and merges runs of the same key into segments.
+
+// Pitch-class weights of the notes sounding in [start, end) (clipped durations;
+// a note's `weight` from noteWeighting.js is clipped the same way)
+function buildWindowNoteWeights(events, start, end) {
+    const noteWeights = new Map();
+    for (const e of events) {
+        const overlap = Math.min(end, e.time + e.duration) - Math.max(start, e.time);
+        if (overlap <= 0) continue;
+        const weight = e.weight === undefined ? overlap : e.weight * (overlap / e.duration);
+        noteWeights.set(e.pc, (noteWeights.get(e.pc) || 0) + weight);
+    }
+    return noteWeights;
+}
+
+function keyId(m) {
+    return `${m.root}-${m.name}`;
+}
+
+// Normalized scores (score / total weight) for every key in one window
+function scoreWindow(noteWeights, params) {
+    let total = 0;
+    for (const w of noteWeights.values()) total += w;
+
+    const scores = new Map();
+    if (total <= 0) return scores;
+
+    const usedNotes = [...noteWeights.keys()].sort((a, b) => a - b);
+    for (const m of findMatchingScalesWeighted(usedNotes, noteWeights, params)) {
+        scores.set(keyId(m), { root: m.root, name: m.name, score: m.score / total });
+    }
+    return scores;
+}
+
+function bestOf(scores) {
+    let best = null;
+    for (const entry of scores.values()) {
+        if (!best || entry.score > best.score) best = entry;
+    }
+    return best;
+}
+
+// events:  [{ pc, time, duration, weight? }] in seconds
+// options: windowSize/hopSize in seconds, smoothing = windows on each side,
+//          minSegmentWindows = shortest run kept as its own segment,
+//          params = scoring params for findMatchingScalesWeighted
+// Returns [{ start, end, root, name, confidence, noteWeights }], where
+// confidence is the share of the segment's windows whose own best key agrees.
+function detectKeySegments(events, {
+    windowSize = 8,
+    hopSize = 2,
+    smoothing = 2,
+    minSegmentWindows = 3,
+    params = {}
+} = {}) {
+    const timed = (events || []).filter(e => e.duration > 0);
+    if (timed.length === 0) return [];
+
+    // reduce, not Math.min(...): spreading a large file's notes overflows the stack
+    const songStart = timed.reduce((min, e) => Math.min(min, e.time), Infinity);
+    const songEnd = timed.reduce((max, e) => Math.max(max, e.time + e.duration), -Infinity);
+
+    // Short files: one window covers everything
+    if (songEnd - songStart <= windowSize) {
+        const noteWeights = buildWindowNoteWeights(timed, songStart, songEnd);
+        const best = bestOf(scoreWindow(noteWeights, params));
+        if (!best) return [];
+        return [{ start: songStart, end: songEnd, root: best.root, name: best.name, confidence: 1, noteWeights }];
+    }
+
+    // 1. Score every window
+    const windows = [];
+    for (let t = songStart; t < songEnd - hopSize / 2; t += hopSize) {
+        const noteWeights = buildWindowNoteWeights(timed, t, t + windowSize);
+        const scores = scoreWindow(noteWeights, params);
+        windows.push({ center: t + windowSize / 2, scores, own: bestOf(scores) });
+    }
+
+    // 2. Smooth: average each key's score over neighbouring windows
+    const labels = windows.map((_, i) => {
+        const summed = new Map();
+        for (let j = Math.max(0, i - smoothing); j <= Math.min(windows.length - 1, i + smoothing); j++) {
+            for (const [id, entry] of windows[j].scores.entries()) {
+                const prev = summed.get(id);
+                summed.set(id, { ...entry, score: (prev ? prev.score : 0) + entry.score });
+            }
+        }
+        return bestOf(summed);
+    });
+
+    // 3. Merge consecutive windows with the same key
+    let runs = [];
+    labels.forEach((label, i) => {
+        if (!label) return;
+        const last = runs[runs.length - 1];
+        if (last && keyId(last.key) === keyId(label)) {
+            last.to = i;
+        } else {
+            runs.push({ key: label, from: i, to: i });
+        }
+    });
+
+    // 4. Fold runs that are too short into the previous (or next) segment
+    let changed = true;
+    while (changed && runs.length > 1) {
+        changed = false;
+        const idx = runs.findIndex(r => r.to - r.from + 1 < minSegmentWindows);
+        if (idx === -1) break;
+        const target = idx > 0 ? runs[idx - 1] : runs[idx + 1];
+        target.from = Math.min(target.from, runs[idx].from);
+        target.to = Math.max(target.to, runs[idx].to);
+        runs.splice(idx, 1);
+        // Neighbours may now share a key
+        runs = runs.reduce((acc, r) => {
+            const last = acc[acc.length - 1];
+            if (last && keyId(last.key) === keyId(r.key)) {
+                last.to = r.to;
+            } else {
+                acc.push(r);
+            }
+            return acc;
+        }, []);
+        changed = true;
+    }
+
+    // 5. Segment boundaries sit halfway between window centers
+    return runs.map((run, i) => {
+        const start = i === 0 ? songStart : windows[run.from].center - hopSize / 2;
+        const end = i === runs.length - 1 ? songEnd : windows[run.to].center + hopSize / 2;
+        let agree = 0;
+        for (let j = run.from; j <= run.to; j++) {
+            if (windows[j].own && keyId(windows[j].own) === keyId(run.key)) agree++;
+        }
+        return {
+            start,
+            end,
+            root: run.key.root,
+            name: run.key.name,
+            confidence: agree / (run.to - run.from + 1),
+            noteWeights: buildWindowNoteWeights(timed, start, end)
+        };
+    });
+}
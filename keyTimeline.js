@@ -0,0 +1,100 @@
+import { formatKeyLabel } from './noteSpelling.js';
+
+function formatTime(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const m = Math.floor(total / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return `${m}:${s}`;
+}
+
+// Spread keys around the color wheel in circle-of-fifths order, so related
+// keys get related colors.
+function hueForRoot(root) {
+    return ((root * 7) % 12) * 30;
+}
+
+// Clickable strip of key segments from detectKeySegments() in keySegments.js.
+// A segment may carry `declared` ({ root, name } from the file's key
+// signature); it is flagged when that differs from the detected key.
+// `onSelect(index)` gets the segment index, or null for the whole file.
+export function createKeyTimeline({ mountEl, onSelect }) {
+    if (!mountEl) {
+        throw new Error('createKeyTimeline: mountEl is required');
+    }
+
+    let segments = [];
+    let activeIndex = null;
+
+    function render() {
+        if (segments.length === 0) {
+            mountEl.innerHTML = '';
+            mountEl.classList.add('hidden');
+            return;
+        }
+        mountEl.classList.remove('hidden');
+
+        const items = segments.map((seg, i) => {
+            const label = formatKeyLabel(seg.root, seg.name);
+            const range = `${formatTime(seg.start)}–${formatTime(seg.end)}`;
+            const confidence = Math.round(seg.confidence * 100);
+            const mismatch = !!seg.declared && (seg.declared.root !== seg.root || seg.declared.name !== seg.name);
+            const declaredLabel = mismatch ? formatKeyLabel(seg.declared.root, seg.declared.name) : '';
+            return `
+                <button type="button"
+                    class="key-segment${i === activeIndex ? ' active' : ''}${mismatch ? ' key-segment--mismatch' : ''}"
+                    style="flex-grow:${Math.max(0.001, seg.end - seg.start)}; --seg-hue:${hueForRoot(seg.root)};"
+                    data-segment-index="${i}"
+                    aria-pressed="${i === activeIndex ? 'true' : 'false'}"
+                    title="${label} · ${range} · ${confidence}% confidence${mismatch ? ` · key signature says ${declaredLabel}` : ''}">
+                    <span class="key-segment-name">${label}</span>
+                    <span class="key-segment-meta">${range} · ${confidence}%</span>
+                    ${mismatch ? `<span class="key-segment-declared">File says ${declaredLabel}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+
+        const heading = segments.length > 1
+            ? `Key changes (${segments.length} segments)`
+            : 'No key change detected';
+
+        mountEl.innerHTML = `
+            <div class="key-timeline-header">
+                <span>${heading}</span>
+                <button type="button" class="key-timeline-all${activeIndex == null ? ' active' : ''}" data-segment-index="all" aria-pressed="${activeIndex == null ? 'true' : 'false'}">Whole file</button>
+            </div>
+            <div class="key-timeline-bar">${items}</div>
+        `;
+    }
+
+    mountEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-segment-index]');
+        if (!btn) return;
+        const raw = btn.dataset.segmentIndex;
+        const index = raw === 'all' ? null : Number(raw);
+        setActive(index);
+        if (typeof onSelect === 'function') onSelect(index);
+    });
+
+    function setSegments(nextSegments) {
+        segments = (nextSegments || []).slice();
+        activeIndex = null;
+        render();
+    }
+
+    function setActive(index) {
+        activeIndex = Number.isInteger(index) && index >= 0 && index < segments.length ? index : null;
+        render();
+    }
+
+    function clear() {
+        setSegments([]);
+    }
+
+    render();
+
+    return {
+        setSegments,
+        setActive,
+        clear
+    };
+}
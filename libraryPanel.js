@@ -0,0 +1,186 @@
+import { NOTE_NAMES, formatKeyLabel, keyNoteNames, formatNoteName } from './noteSpelling.js';
+import { searchLibrary } from './noteLibrary.js';
+import { escapeHtml } from './escapeHtml.js';
+
+// Comma-separated tags ("riff, verse") -> ['riff', 'verse']
+function parseTags(text) {
+    return String(text || '').split(',').map((t) => t.trim()).filter(Boolean);
+}
+
+// Saved note sets (entries from noteLibrary.js): save form, search, and a
+// list to restore, rename or delete from, plus JSON import/export.
+// Callbacks: onSave(name, tags), onRestore(id), onRename(id, name),
+// onDelete(id), onExport(), onImport(file).
+export function createLibraryPanel({ mountEl, onSave, onRestore, onRename, onDelete, onExport, onImport }) {
+    if (!mountEl) {
+        throw new Error('createLibraryPanel: mountEl is required');
+    }
+
+    let entries = [];
+    let query = '';
+    let editingId = null;
+
+    mountEl.innerHTML = `
+        <form class="library-save" data-role="save">
+            <input type="text" data-field="name" placeholder="Name" aria-label="Name for the current notes" />
+            <input type="text" data-field="tags" placeholder="Tags, comma-separated" aria-label="Tags" />
+            <button type="submit">Save current notes</button>
+        </form>
+        <div class="library-tools">
+            <input type="search" data-field="search" placeholder="Search names, tags (#tag), notes or keys" aria-label="Search the library" />
+            <button type="button" data-action="export">Export JSON</button>
+            <button type="button" data-action="import">Import JSON</button>
+            <input type="file" data-field="importFile" accept=".json,application/json" hidden />
+        </div>
+        <div class="hint-text" data-role="status" aria-live="polite"></div>
+        <ul class="library-list" data-role="list"></ul>
+    `;
+
+    const saveForm = mountEl.querySelector('[data-role="save"]');
+    const nameInput = mountEl.querySelector('[data-field="name"]');
+    const tagsInput = mountEl.querySelector('[data-field="tags"]');
+    const searchInput = mountEl.querySelector('[data-field="search"]');
+    const importInput = mountEl.querySelector('[data-field="importFile"]');
+    const statusEl = mountEl.querySelector('[data-role="status"]');
+    const listEl = mountEl.querySelector('[data-role="list"]');
+
+    function describe(entry) {
+        const names = entry.key ? keyNoteNames(entry.key.root, entry.key.mode) : NOTE_NAMES.map(formatNoteName);
+        const notes = entry.notes.map((pc) => names[pc]).join(' ');
+        const key = entry.key ? `${formatKeyLabel(entry.key.root, entry.key.mode)} · ` : '';
+        const source = entry.weights ? ' · MIDI weights' : '';
+        return `${key}${notes}${source}`;
+    }
+
+    function renderList() {
+        const shown = searchLibrary(entries, query);
+        if (entries.length === 0) {
+            listEl.innerHTML = '<li class="library-empty">Nothing saved yet.</li>';
+            return;
+        }
+        if (shown.length === 0) {
+            listEl.innerHTML = '<li class="library-empty">No saved note sets match.</li>';
+            return;
+        }
+
+        listEl.innerHTML = shown.map((entry) => {
+            const id = escapeHtml(entry.id);
+            const tags = entry.tags.map((t) => `<span class="library-tag">${escapeHtml(t)}</span>`).join('');
+            const name = entry.id === editingId
+                ? `<input type="text" class="library-rename" data-rename="${id}" value="${escapeHtml(entry.name)}" aria-label="New name" />`
+                : `<button type="button" class="library-name" data-restore="${id}" title="Restore these notes">${escapeHtml(entry.name)}</button>`;
+            return `
+                <li class="library-item">
+                    <div class="library-main">
+                        ${name}
+                        <span class="library-meta">${escapeHtml(describe(entry))}</span>
+                        ${tags ? `<span class="library-tags">${tags}</span>` : ''}
+                    </div>
+                    <div class="library-actions">
+                        <button type="button" data-rename-start="${id}">Rename</button>
+                        <button type="button" data-delete="${id}">Delete</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        const renameInput = listEl.querySelector('[data-rename]');
+        if (renameInput) {
+            renameInput.focus();
+            renameInput.select();
+        }
+    }
+
+    function commitRename(input) {
+        const id = input.dataset.rename;
+        const name = input.value.trim();
+        editingId = null;
+        renderList();
+        if (name && typeof onRename === 'function') onRename(id, name);
+    }
+
+    saveForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (typeof onSave === 'function') onSave(nameInput.value.trim(), parseTags(tagsInput.value));
+    });
+
+    searchInput.addEventListener('input', () => {
+        query = searchInput.value;
+        renderList();
+    });
+
+    mountEl.addEventListener('click', (e) => {
+        const restore = e.target.closest('[data-restore]');
+        if (restore) {
+            if (typeof onRestore === 'function') onRestore(restore.dataset.restore);
+            return;
+        }
+        const renameStart = e.target.closest('[data-rename-start]');
+        if (renameStart) {
+            editingId = renameStart.dataset.renameStart;
+            renderList();
+            return;
+        }
+        const del = e.target.closest('[data-delete]');
+        if (del) {
+            if (typeof onDelete === 'function') onDelete(del.dataset.delete);
+            return;
+        }
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'export' && typeof onExport === 'function') onExport();
+        if (action === 'import') importInput.click();
+    });
+
+    listEl.addEventListener('keydown', (e) => {
+        const input = e.target.closest('[data-rename]');
+        if (!input) return;
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitRename(input);
+        } else if (e.key === 'Escape') {
+            editingId = null;
+            renderList();
+        }
+    });
+
+    listEl.addEventListener('focusout', (e) => {
+        const input = e.target.closest('[data-rename]');
+        if (input && editingId === input.dataset.rename) commitRename(input);
+    });
+
+    importInput.addEventListener('change', () => {
+        const file = importInput.files && importInput.files[0];
+        if (file && typeof onImport === 'function') onImport(file);
+        // Allow importing the same file again
+        importInput.value = '';
+    });
+
+    function setEntries(nextEntries) {
+        entries = (nextEntries || []).slice();
+        if (editingId && !entries.some((e) => e.id === editingId)) editingId = null;
+        renderList();
+    }
+
+    function setStatus(text) {
+        statusEl.textContent = text || '';
+    }
+
+    // After a successful save
+    function clearSaveForm() {
+        nameInput.value = '';
+        tagsInput.value = '';
+    }
+
+    function setNamePlaceholder(text) {
+        nameInput.placeholder = text || 'Name';
+    }
+
+    renderList();
+
+    return {
+        setEntries,
+        setStatus,
+        clearSaveForm,
+        setNamePlaceholder
+    };
+}
@@ -0,0 +1,179 @@
+import { getScale } from "./scaleDetector.js";
+import { spellKey, NOTE_NAMES } from "./noteSpelling.js";
+
+export {
+    EXPORT_CONTENTS,
+    hasDiatonicChords,
+    buildScaleRun,
+    buildDiatonicChords,
+    buildCadence,
+    buildKeyMidi,
+    keyMidiFilename
+};
+
+// Reference clips for a key, written with the Tone.js `Midi` class:
+// a scale run, the diatonic triads/sevenths and a I-IV-V-I cadence.
+// Times and durations are in beats (quarter notes).
+
+// `chords`: needs a seven-note scale (see hasDiatonicChords)
+const EXPORT_CONTENTS = [
+    { id: "scale", label: "Scale run", chords: false },
+    { id: "triads", label: "Diatonic triads", chords: true },
+    { id: "sevenths", label: "Diatonic sevenths", chords: true },
+    { id: "cadence", label: "I–IV–V–I cadence", chords: true }
+];
+
+const NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+// Whether a scale has seven degrees to build diatonic chords and the
+// cadence on (not Blues, the pentatonics or Chromatic)
+function hasDiatonicChords(mode) {
+    const scale = getScale(mode);
+    return !!scale && scale.intervals.length === 7;
+}
+
+// Scale notes from the tonic up `octaves` octaves and back down, eighth notes
+// by default. `startMidi` is the lowest tonic (default: the one from C4 up).
+function buildScaleRun(root, mode, { octaves = 1, startMidi, noteLength = 0.5 } = {}) {
+    const scale = getScale(mode);
+    if (!scale) return [];
+    const base = startMidi ?? 60 + (((root % 12) + 12) % 12);
+
+    const up = [];
+    for (let o = 0; o < octaves; o++) {
+        for (const i of scale.intervals) up.push(base + o * 12 + i);
+    }
+    up.push(base + octaves * 12);
+    const pitches = [...up, ...up.slice(0, -1).reverse()];
+
+    return pitches.map((midi, i) => ({
+        midi,
+        time: i * noteLength,
+        // Let the last tonic ring
+        duration: i === pitches.length - 1 ? noteLength * 4 : noteLength
+    }));
+}
+
+// Chord on `degree` (0-based) built by stacking every other scale note
+function stackThirds(scaleMidis, degree, size) {
+    const n = scaleMidis.length;
+    return Array.from({ length: size }, (_, k) => {
+        const step = degree + 2 * k;
+        return scaleMidis[step % n] + 12 * Math.floor(step / n);
+    });
+}
+
+function scaleMidis(root, mode, startMidi) {
+    const scale = getScale(mode);
+    if (!scale) return [];
+    const base = startMidi ?? 48 + (((root % 12) + 12) % 12);
+    return scale.intervals.map(i => base + i);
+}
+
+// Roman numeral from the chord's third and fifth above its root
+function chordNumeral(degree, chord) {
+    const third = chord[1] - chord[0];
+    const fifth = chord[2] - chord[0];
+    const numeral = NUMERALS[degree] || String(degree + 1);
+    if (third === 3 && fifth === 6) return `${numeral.toLowerCase()}°`;
+    if (third === 4 && fifth === 8) return `${numeral}+`;
+    return third === 3 ? numeral.toLowerCase() : numeral;
+}
+
+// One chord per scale degree, one bar (4 beats) each. Only seven-note scales
+// have diatonic chords in the usual sense; others return [].
+// Returns [{ degree, numeral, midis, time, duration }].
+function buildDiatonicChords(root, mode, { sevenths = false, startMidi, chordLength = 4 } = {}) {
+    const midis = scaleMidis(root, mode, startMidi);
+    if (midis.length !== 7) return [];
+
+    return midis.map((_, degree) => {
+        const chord = stackThirds(midis, degree, sevenths ? 4 : 3);
+        return {
+            degree,
+            numeral: chordNumeral(degree, chord),
+            midis: chord,
+            time: degree * chordLength,
+            duration: chordLength
+        };
+    });
+}
+
+// I-IV-V-I with the diatonic chords; in Minor the V gets its leading tone
+// (major V), as in practice. Seven-note scales only, else [].
+function buildCadence(root, mode, { startMidi, chordLength = 4 } = {}) {
+    const midis = scaleMidis(root, mode, startMidi);
+    if (midis.length !== 7) return [];
+
+    return [0, 3, 4, 0].map((degree, i) => {
+        const chord = stackThirds(midis, degree, 3);
+        if (mode === "Minor" && degree === 4 && chord[1] - chord[0] === 3) chord[1] += 1;
+        return {
+            degree,
+            numeral: chordNumeral(degree, chord),
+            midis: chord,
+            time: i * chordLength,
+            duration: chordLength
+        };
+    });
+}
+
+// Plain-text tonic as spelled in the key ("Eb", "C#"), for names and files
+function tonicName(root, mode) {
+    const spelled = spellKey(root, mode);
+    return spelled ? spelled.tonic : NOTE_NAMES[((root % 12) + 12) % 12];
+}
+
+// Midi object with one track per content id (see EXPORT_CONTENTS), played
+// one after another with a bar of rest between, so each imports as its own clip.
+// Pass `{ Midi }` in Node; in the browser Midi.js puts it on globalThis.
+function buildKeyMidi(root, mode, {
+    contents = ["scale"],
+    octaves = 1,
+    bpm = 100,
+    velocity = 0.8,
+    Midi: MidiClass = globalThis.Midi
+} = {}) {
+    if (typeof MidiClass !== "function") {
+        throw new Error("buildKeyMidi: no MIDI writer; pass { Midi } or load Midi.js first");
+    }
+
+    const keyName = `${tonicName(root, mode)} ${mode}`;
+    const midi = new MidiClass();
+    midi.header.setTempo(bpm);
+    midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] });
+    midi.header.name = keyName;
+    const beats = (n) => n * (60 / bpm);
+
+    let offset = 0; // beats
+    for (const id of contents) {
+        let notes;
+        if (id === "scale") {
+            notes = buildScaleRun(root, mode, { octaves });
+        } else {
+            const chords = id === "cadence"
+                ? buildCadence(root, mode)
+                : buildDiatonicChords(root, mode, { sevenths: id === "sevenths" });
+            notes = chords.flatMap(c => c.midis.map(m => ({ midi: m, time: c.time, duration: c.duration })));
+        }
+        if (notes.length === 0) continue;
+
+        // Plain ASCII: track names are written as single bytes
+        const track = midi.addTrack();
+        track.name = `${keyName} ${id}`;
+        for (const note of notes) {
+            track.addNote({ midi: note.midi, time: beats(offset + note.time), duration: beats(note.duration), velocity });
+        }
+
+        const end = Math.max(...notes.map(n => n.time + n.duration));
+        offset += Math.ceil(end / 4) * 4 + 4;
+    }
+    return midi;
+}
+
+// e.g. "C#_Major_scale.mid", "Eb_Minor_scale.mid", or "D_Dorian.mid" for several contents
+function keyMidiFilename(root, mode, contents = []) {
+    const note = tonicName(root, mode);
+    const suffix = contents.length === 1 ? `_${contents[0]}` : "";
+    return `${note}_${mode.replace(/\s+/g, "-")}${suffix}.mid`;
+}
@@ -0,0 +1,177 @@
+// Web MIDI input (external keyboards/controllers).
+// `requestAccess` defaults to navigator.requestMIDIAccess; pass a function that
+// resolves to a mock MIDIAccess ({ inputs: Map, onstatechange }) to test
+// without hardware. Inputs are MIDIInput-like objects
+// ({ id, name, manufacturer, state, onmidimessage }).
+//
+// Callbacks:
+//   onNoteOn(midi, velocity)  velocity in 0..1
+//   onNoteOff(midi)
+//   onDevicesChange(devices)  [{ id, name, manufacturer }] after connect and hot-plug
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const ALL_SOUND_OFF = 120;
+const ALL_NOTES_OFF = 123;
+
+function defaultRequestAccess() {
+    if (typeof navigator === 'undefined' || typeof navigator.requestMIDIAccess !== 'function') {
+        return Promise.reject(new Error('Web MIDI is not supported in this browser.'));
+    }
+    return navigator.requestMIDIAccess();
+}
+
+export function isMidiInputSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+export function createMidiInput({
+    requestAccess = defaultRequestAccess,
+    onNoteOn,
+    onNoteOff,
+    onDevicesChange
+} = {}) {
+    let access = null;
+    let deviceId = null; // null = all devices
+    let channel = null; // 0-15, null = all channels
+    const attached = new Map(); // input id -> MIDIInput
+    const held = new Map(); // midi -> Set<"inputId:channel">
+
+    function listDevices() {
+        if (!access) return [];
+        return [...access.inputs.values()]
+            .filter((input) => input.state !== 'disconnected')
+            .map((input) => ({ id: input.id, name: input.name || 'MIDI input', manufacturer: input.manufacturer || '' }));
+    }
+
+    function noteOn(midi, velocity, source) {
+        const sources = held.get(midi) || new Set();
+        sources.add(source);
+        held.set(midi, sources);
+        if (typeof onNoteOn === 'function') onNoteOn(midi, velocity);
+    }
+
+    function noteOff(midi, source) {
+        const sources = held.get(midi);
+        if (!sources || !sources.delete(source)) return;
+        if (sources.size > 0) return;
+        held.delete(midi);
+        if (typeof onNoteOff === 'function') onNoteOff(midi);
+    }
+
+    // Release every held note whose source matches `predicate`
+    function releaseWhere(predicate) {
+        for (const [midi, sources] of [...held.entries()]) {
+            for (const source of [...sources]) {
+                if (predicate(source)) noteOff(midi, source);
+            }
+        }
+    }
+
+    function handleMessage(input, data) {
+        if (!data || data.length < 2) return;
+        const status = data[0] & 0xf0;
+        const msgChannel = data[0] & 0x0f;
+        if (channel != null && msgChannel !== channel) return;
+
+        const source = `${input.id}:${msgChannel}`;
+        const midi = data[1];
+        const velocity = data.length > 2 ? data[2] : 0;
+
+        if (status === NOTE_ON && velocity > 0) {
+            noteOn(midi, velocity / 127, source);
+        } else if (status === NOTE_OFF || status === NOTE_ON) {
+            // Note-on with velocity 0 is a note-off (running status)
+            noteOff(midi, source);
+        } else if (status === CONTROL_CHANGE && (midi === ALL_NOTES_OFF || midi === ALL_SOUND_OFF)) {
+            releaseWhere((s) => s === source);
+        }
+    }
+
+    function attach(input) {
+        if (attached.has(input.id)) return;
+        input.onmidimessage = (e) => handleMessage(input, e.data);
+        attached.set(input.id, input);
+    }
+
+    function detach(id) {
+        const input = attached.get(id);
+        if (!input) return;
+        input.onmidimessage = null;
+        attached.delete(id);
+        releaseWhere((s) => s.startsWith(`${id}:`));
+    }
+
+    // Listen to the selected device (or all of them)
+    function syncListeners() {
+        const wanted = new Set(
+            listDevices()
+                .filter((d) => deviceId == null || d.id === deviceId)
+                .map((d) => d.id)
+        );
+        for (const id of [...attached.keys()]) {
+            if (!wanted.has(id)) detach(id);
+        }
+        for (const input of access ? access.inputs.values() : []) {
+            if (wanted.has(input.id)) attach(input);
+        }
+    }
+
+    function notifyDevices() {
+        if (typeof onDevicesChange === 'function') onDevicesChange(listDevices());
+    }
+
+    function handleStateChange() {
+        syncListeners();
+        notifyDevices();
+    }
+
+    // Resolves to the device list; rejects when access is denied or unsupported.
+    async function connect() {
+        if (!access) {
+            access = await requestAccess();
+            access.onstatechange = handleStateChange;
+        }
+        syncListeners();
+        notifyDevices();
+        return listDevices();
+    }
+
+    function disconnect() {
+        for (const id of [...attached.keys()]) detach(id);
+        if (access) access.onstatechange = null;
+        access = null;
+    }
+
+    function setDevice(nextId) {
+        deviceId = nextId || null;
+        if (access) syncListeners();
+    }
+
+    function setChannel(nextChannel) {
+        const n = Number(nextChannel);
+        channel = (nextChannel !== null && nextChannel !== '' && Number.isInteger(n) && n >= 0 && n < 16) ? n : null;
+        // Notes from channels that are now filtered out would never get their note-off
+        if (channel != null) releaseWhere((s) => !s.endsWith(`:${channel}`));
+    }
+
+    function releaseAll() {
+        releaseWhere(() => true);
+    }
+
+    function getHeldNotes() {
+        return [...held.keys()];
+    }
+
+    return {
+        connect,
+        disconnect,
+        setDevice,
+        setChannel,
+        releaseAll,
+        getHeldNotes,
+        getDevices: listDevices,
+        isConnected: () => !!access
+    };
+}
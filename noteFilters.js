@@ -0,0 +1,112 @@
+export {
+    DEFAULT_NOTE_FILTERS,
+    isDefaultNoteFilters,
+    barToTicks,
+    filterNoteEvents
+};
+
+// Note filters, applied between parsing and weighting: drop grace notes,
+// quiet ghost notes, extreme registers, unwanted channels, and anything
+// outside a time window.
+
+// minDuration in seconds, minVelocity 0-1 (like the parsed notes),
+// minPitch/maxPitch MIDI note numbers, channels = allowed 0-based channels
+// (null = all), timeRange = { start, end, unit: "seconds" | "bars" } with
+// bars counted from 1 and `end` inclusive (null/undefined bound = open)
+const DEFAULT_NOTE_FILTERS = {
+    minDuration: 0,
+    minVelocity: 0,
+    minPitch: 0,
+    maxPitch: 127,
+    channels: null,
+    timeRange: null
+};
+
+function isDefaultNoteFilters(filters) {
+    if (!filters) return true;
+    const f = { ...DEFAULT_NOTE_FILTERS, ...filters };
+    const range = f.timeRange;
+    return !(f.minDuration > 0)
+        && !(f.minVelocity > 0)
+        && f.minPitch <= 0
+        && f.maxPitch >= 127
+        && !Array.isArray(f.channels)
+        && !(range && (range.start != null || range.end != null));
+}
+
+// Tick where `bar` (1-based) starts, following the time signature changes
+// header: { ppq, timeSignatures: [{ ticks, timeSignature: [num, den] }] }
+function barToTicks(bar, header) {
+    const ppq = header?.ppq || 480;
+    const signatures = (header?.timeSignatures || []).slice().sort((a, b) => a.ticks - b.ticks);
+    if (signatures.length === 0 || signatures[0].ticks > 0) {
+        signatures.unshift({ ticks: 0, timeSignature: [4, 4] });
+    }
+
+    let tick = 0;
+    let sigIndex = 0;
+    for (let current = 1; current < bar; current++) {
+        while (sigIndex + 1 < signatures.length && signatures[sigIndex + 1].ticks <= tick) sigIndex++;
+        const [num, den] = signatures[sigIndex].timeSignature;
+        const barTicks = ppq * (4 / den) * num;
+        const nextSig = signatures[sigIndex + 1];
+        // A new signature starts a new bar even if the previous one is incomplete
+        tick = nextSig ? Math.min(tick + barTicks, nextSig.ticks) : tick + barTicks;
+    }
+    return tick;
+}
+
+// Cut a note to [from, to) on its `time` (seconds) or `ticks` axis;
+// the other axis is cut in proportion. Returns null when nothing is left.
+function clipNote(e, from, to, axis) {
+    const start = axis === "ticks" ? e.ticks : e.time;
+    const length = axis === "ticks" ? e.durationTicks : e.duration;
+    const clippedStart = Math.max(start, from);
+    const clippedEnd = Math.min(start + length, to);
+    if (clippedEnd <= clippedStart) return null;
+    if (clippedStart === start && clippedEnd === start + length) return e;
+
+    const headCut = length > 0 ? (clippedStart - start) / length : 0;
+    const keep = length > 0 ? (clippedEnd - clippedStart) / length : 1;
+    return {
+        ...e,
+        time: e.time + headCut * e.duration,
+        duration: keep * e.duration,
+        ticks: e.ticks + headCut * e.durationTicks,
+        durationTicks: keep * e.durationTicks
+    };
+}
+
+// Notes of `events` ([{ midi, time, duration, ticks, durationTicks, velocity, channel }])
+// that pass `filters`; notes crossing the time window are cut to it.
+// `header` (getHeaderInfo) is only needed for a window in bars.
+function filterNoteEvents(events, header, filters) {
+    if (isDefaultNoteFilters(filters)) return events;
+    const f = { ...DEFAULT_NOTE_FILTERS, ...filters };
+    const channels = Array.isArray(f.channels) ? new Set(f.channels) : null;
+
+    let from = -Infinity;
+    let to = Infinity;
+    const axis = f.timeRange?.unit === "bars" ? "ticks" : "time";
+    if (f.timeRange) {
+        const { start, end } = f.timeRange;
+        if (axis === "ticks") {
+            if (start != null) from = barToTicks(start, header);
+            if (end != null) to = barToTicks(end + 1, header);
+        } else {
+            if (start != null) from = start;
+            if (end != null) to = end;
+        }
+    }
+
+    const kept = [];
+    for (const e of events) {
+        if (e.duration < f.minDuration) continue;
+        if ((e.velocity ?? 1) < f.minVelocity) continue;
+        if (e.midi < f.minPitch || e.midi > f.maxPitch) continue;
+        if (channels && !channels.has(e.channel)) continue;
+        const clipped = clipNote(e, from, to, axis);
+        if (clipped) kept.push(clipped);
+    }
+    return kept;
+}
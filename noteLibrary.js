@@ -0,0 +1,203 @@
+import { getScale, midiToNoteName } from "./scaleDetector.js";
+import { spellKey, keyLabel } from "./noteSpelling.js";
+
+export {
+    LIBRARY_FORMAT,
+    normalizeEntry,
+    searchLibrary,
+    parseLibraryJson,
+    createNoteLibrary
+};
+
+// Saved note sets ("library"), persisted in IndexedDB.
+// `indexedDB` defaults to the browser's; pass another IDBFactory (e.g. an
+// in-memory one) to use it elsewhere. Every method returns a Promise and
+// rejects when IndexedDB is unavailable.
+//
+// Entry: { id, name, tags: string[], notes: pc[], weights: [pc, weight][] | null,
+//          pcts: [pc, pct][] | null, key: { root, mode } | null, createdAt, updatedAt }
+// `weights`/`pcts` are the MIDI-derived note weights and percentages, when
+// the selection came from a MIDI file.
+
+const DB_VERSION = 1;
+const STORE = "noteSets";
+
+// Marks exported files so imports can tell them from other JSON
+const LIBRARY_FORMAT = "midi-scale-finder-library";
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error || new Error("IndexedDB request failed"));
+    });
+}
+
+function newId() {
+    if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function cleanPairs(pairs, max = Infinity) {
+    if (!Array.isArray(pairs)) return null;
+    const cleaned = pairs
+        .filter((p) => Array.isArray(p) && Number.isInteger(p[0]) && p[0] >= 0 && p[0] < 12
+            && Number.isFinite(p[1]) && p[1] >= 0 && p[1] <= max)
+        .map(([pc, value]) => [pc, value]);
+    return cleaned.length > 0 ? cleaned : null;
+}
+
+// Validated copy of an entry (from the UI or an imported file); throws on
+// entries that cannot be used
+function normalizeEntry(raw) {
+    if (!raw || typeof raw !== "object") throw new Error("Library entry must be an object");
+    const notes = [...new Set((Array.isArray(raw.notes) ? raw.notes : [])
+        .filter((pc) => Number.isInteger(pc) && pc >= 0 && pc < 12))].sort((a, b) => a - b);
+    if (notes.length === 0) throw new Error("Library entry has no notes");
+
+    const tags = [...new Set((Array.isArray(raw.tags) ? raw.tags : [])
+        .map((t) => String(t).trim())
+        .filter(Boolean))];
+    const key = raw.key && Number.isInteger(raw.key.root) && raw.key.root >= 0 && raw.key.root < 12 && getScale(raw.key.mode)
+        ? { root: raw.key.root, mode: raw.key.mode }
+        : null;
+    const now = Date.now();
+
+    return {
+        id: typeof raw.id === "string" && raw.id ? raw.id : newId(),
+        name: String(raw.name ?? "").trim() || "Untitled",
+        tags,
+        notes,
+        weights: cleanPairs(raw.weights),
+        pcts: cleanPairs(raw.pcts, 100),
+        key,
+        createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : now,
+        updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : now
+    };
+}
+
+// Entries whose name, tags, notes or key contain every word of `query`
+// ("#tag" matches a tag exactly), newest first. Keys and notes match as
+// spelled in the entry's key ("Eb Major", "E#") and by their raw names
+// ("D#/Eb"), so either spelling finds them.
+function searchLibrary(entries, query) {
+    const terms = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    const sorted = (entries || []).slice().sort((a, b) => b.updatedAt - a.updatedAt);
+    if (terms.length === 0) return sorted;
+
+    return sorted.filter((entry) => {
+        const tags = entry.tags.map((t) => t.toLowerCase());
+        const spelled = entry.key ? spellKey(entry.key.root, entry.key.mode) : null;
+        const keyLabels = entry.key
+            ? [keyLabel(entry.key.root, entry.key.mode), `${midiToNoteName(entry.key.root)} ${entry.key.mode}`]
+            : [];
+        const noteLabels = entry.notes.flatMap((pc) => (spelled ? [spelled.names[pc], midiToNoteName(pc)] : [midiToNoteName(pc)]));
+        const haystack = [entry.name, ...keyLabels, ...noteLabels, ...tags].join(" ").toLowerCase();
+        return terms.every((term) => (term.startsWith("#") && term.length > 1
+            ? tags.includes(term.slice(1))
+            : haystack.includes(term)));
+    });
+}
+
+// Entries from an exported library (or a bare array of entries); throws
+// with a readable message when the file is not one
+function parseLibraryJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error("Not a JSON file");
+    }
+    const list = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(list) || (!Array.isArray(data) && data.format !== LIBRARY_FORMAT)) {
+        throw new Error("Not a note library export");
+    }
+    const entries = [];
+    for (const raw of list) {
+        try {
+            entries.push(normalizeEntry(raw));
+        } catch {
+            // Skip unusable entries; keep the rest of the file
+        }
+    }
+    return entries;
+}
+
+function createNoteLibrary({
+    indexedDB: idb = globalThis.indexedDB,
+    dbName = "midi-scale-finder"
+} = {}) {
+    let dbPromise = null;
+
+    function open() {
+        if (!idb) return Promise.reject(new Error("IndexedDB is not available in this browser."));
+        if (!dbPromise) {
+            const request = idb.open(dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "id" });
+            };
+            dbPromise = promisify(request);
+            // Let a later call try again
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    }
+
+    async function withStore(mode, fn) {
+        const db = await open();
+        const tx = db.transaction(STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+        });
+        const [result] = await Promise.all([fn(tx.objectStore(STORE)), done]);
+        return result;
+    }
+
+    function list() {
+        return withStore("readonly", (store) => promisify(store.getAll()))
+            .then((entries) => searchLibrary(entries, ""));
+    }
+
+    // Adds or replaces an entry, stamped as changed now
+    function save(entry) {
+        const clean = { ...normalizeEntry(entry), updatedAt: Date.now() };
+        return withStore("readwrite", (store) => promisify(store.put(clean))).then(() => clean);
+    }
+
+    // Change some fields of an entry (e.g. { name }); resolves to the new entry
+    async function update(id, changes) {
+        const entry = await withStore("readonly", (store) => promisify(store.get(id)));
+        if (!entry) throw new Error("No such library entry");
+        return save({ ...entry, ...changes, id, createdAt: entry.createdAt });
+    }
+
+    function remove(id) {
+        return withStore("readwrite", (store) => promisify(store.delete(id)));
+    }
+
+    async function exportJson() {
+        const entries = await list();
+        return JSON.stringify({ format: LIBRARY_FORMAT, version: DB_VERSION, entries }, null, 2);
+    }
+
+    // Adds the entries of an export; an entry with an id that already exists
+    // replaces the stored one. Resolves to { added, replaced }.
+    async function importJson(text) {
+        const entries = parseLibraryJson(text);
+        const existing = new Set((await list()).map((e) => e.id));
+        await withStore("readwrite", (store) => Promise.all(entries.map((e) => promisify(store.put(e)))));
+        const replaced = entries.filter((e) => existing.has(e.id)).length;
+        return { added: entries.length - replaced, replaced };
+    }
+
+    return {
+        list,
+        save,
+        update,
+        remove,
+        exportJson,
+        importJson
+    };
+}
@@ -0,0 +1,156 @@
+import { getScale } from "./scaleRegistry.js";
+
+export {
+    NOTE_NAMES,
+    spellKey,
+    keyLabel,
+    formatKeyLabel,
+    keyNoteNames,
+    spellAbove,
+    formatNoteName,
+    describeKeySignature
+};
+
+// Key-aware note names: the conventional tonic (Eb Major, not D#/Eb Major),
+// one letter per degree for seven-note scales (F# in D Major, E# in C# Minor)
+// and the key signature's sharps (> 0) or flats (< 0).
+// Names are plain text ("Eb", "F##"); formatNoteName() is for display.
+
+// Names outside any key (detected chords with no key yet, unknown scales)
+const NOTE_NAMES = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
+
+const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+const NATURAL_PCS = [0, 2, 4, 5, 7, 9, 11];
+const MAJOR_STEPS = [0, 2, 4, 5, 7, 9, 11];
+const SHARP_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+const FLAT_NAMES = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+// The major key with the fewest accidentals for each pitch class, by letter
+// index and signature. Gb/F# tie at 6; see parentKeyFor().
+const MAJOR_KEYS = [
+    { letter: 0, accidentals: 0 },  // C
+    { letter: 1, accidentals: -5 }, // Db
+    { letter: 1, accidentals: 2 },  // D
+    { letter: 2, accidentals: -3 }, // Eb
+    { letter: 2, accidentals: 4 },  // E
+    { letter: 3, accidentals: -1 }, // F
+    { letter: 4, accidentals: -6 }, // Gb
+    { letter: 4, accidentals: 1 },  // G
+    { letter: 5, accidentals: -4 }, // Ab
+    { letter: 5, accidentals: 3 },  // A
+    { letter: 6, accidentals: -2 }, // Bb
+    { letter: 6, accidentals: 5 }   // B
+];
+const F_SHARP_MAJOR = { letter: 3, accidentals: 6 };
+
+// Letter offset from the tonic for each interval, for scales without seven
+// degrees (b3, b5, b7 as in blues and pentatonic spellings)
+const DEGREE_LETTERS = [0, 1, 1, 2, 2, 3, 4, 4, 5, 5, 6, 6];
+
+function spellNote(letter, pc) {
+    const diff = ((((pc - NATURAL_PCS[letter]) % 12) + 18) % 12) - 6;
+    return LETTERS[letter] + (diff > 0 ? "#".repeat(diff) : "b".repeat(-diff));
+}
+
+// The note `semitones` and `letters` steps above a plain-text name:
+// ("D#", 4, 2) -> "F##", ("Eb", 9, 6) -> "Db"
+function spellAbove(name, semitones, letters) {
+    const letter = LETTERS.indexOf(name[0]);
+    const alter = [...name.slice(1)].reduce((sum, ch) => sum + (ch === "#" ? 1 : -1), 0);
+    return spellNote((letter + letters) % 7, NATURAL_PCS[letter] + alter + semitones);
+}
+
+// Semitones from the tonic up to the major key whose signature the scale
+// uses: the parent key of a diatonic mode, else the tonic's own Major key
+// (scales with a major 3rd) or the relative major (scales with a minor 3rd)
+function signatureOffset(intervals) {
+    const sorted = intervals.join(",");
+    for (const step of MAJOR_STEPS) {
+        const rotated = MAJOR_STEPS.map(s => (s - step + 12) % 12).sort((a, b) => a - b);
+        if (rotated.join(",") === sorted) return (12 - step) % 12;
+    }
+    if (intervals.includes(4)) return 0;
+    if (intervals.includes(3)) return 3;
+    return 0;
+}
+
+// The tonic is always a degree of the parent key (its 1st, 6th or mode degree)
+function tonicLetter(parent, parentPc, root) {
+    const degree = MAJOR_STEPS.findIndex(step => (parentPc + step) % 12 === root);
+    return (parent.letter + degree) % 7;
+}
+
+// Parent key and tonic letter. With 6 sharps or 6 flats either way, take the
+// one with the plainer tonic (B Lydian, not Cb), else flats (Eb Minor).
+function parentKeyFor(parentPc, root) {
+    const parent = MAJOR_KEYS[parentPc];
+    const letter = tonicLetter(parent, parentPc, root);
+    if (parentPc !== 6) return { parent, letter };
+
+    const sharpLetter = tonicLetter(F_SHARP_MAJOR, parentPc, root);
+    const size = (l) => spellNote(l, root).length;
+    return size(sharpLetter) < size(letter)
+        ? { parent: F_SHARP_MAJOR, letter: sharpLetter }
+        : { parent, letter };
+}
+
+// { tonic, accidentals, scale: names per degree, names: name per pitch class }
+// or null for an unknown scale. Pitch classes outside the scale follow the
+// signature: sharps in sharp keys, flats otherwise.
+function spellKey(root, mode) {
+    const scale = getScale(mode);
+    if (!scale) return null;
+
+    const parentPc = (root + signatureOffset(scale.intervals)) % 12;
+    const { parent, letter } = parentKeyFor(parentPc, root);
+
+    const names = scale.intervals.map((interval, i) => {
+        const offset = scale.intervals.length === 7 ? i : DEGREE_LETTERS[interval];
+        return spellNote((letter + offset) % 7, (root + interval) % 12);
+    });
+
+    const fallback = parent.accidentals > 0 ? SHARP_NAMES : FLAT_NAMES;
+    const byPc = fallback.slice();
+    scale.intervals.forEach((interval, i) => {
+        byPc[(root + interval) % 12] = names[i];
+    });
+
+    return {
+        tonic: names[0],
+        accidentals: parent.accidentals,
+        scale: names,
+        names: byPc
+    };
+}
+
+// "Eb Major" (plain text), or `null` for an unknown scale
+function keyLabel(root, mode) {
+    const spelled = spellKey(root, mode);
+    return spelled ? `${spelled.tonic} ${mode}` : null;
+}
+
+// "E♭ Major" (display); unknown scales fall back to NOTE_NAMES
+function formatKeyLabel(root, mode) {
+    const spelled = spellKey(root, mode);
+    return `${formatNoteName(spelled ? spelled.tonic : NOTE_NAMES[root])} ${mode}`;
+}
+
+// Display names of the 12 pitch classes as spelled in a key
+function keyNoteNames(root, mode) {
+    const spelled = spellKey(root, mode);
+    return (spelled ? spelled.names : NOTE_NAMES).map(formatNoteName);
+}
+
+// "Eb" -> "E♭", "F##" -> "F♯♯"
+function formatNoteName(name) {
+    const text = String(name);
+    return text.charAt(0) + text.slice(1).replace(/#/g, "♯").replace(/b/g, "♭");
+}
+
+// 3 -> "3 sharps", -1 -> "1 flat", 0 -> "no sharps or flats"
+function describeKeySignature(accidentals) {
+    if (!accidentals) return "no sharps or flats";
+    const count = Math.abs(accidentals);
+    const kind = accidentals > 0 ? "sharp" : "flat";
+    return `${count} ${kind}${count === 1 ? "" : "s"}`;
+}
@@ -0,0 +1,135 @@
+export {
+    DEFAULT_WEIGHTING,
+    WEIGHTING_BASES,
+    WEIGHTING_BOOSTS,
+    WEIGHTING_PRESETS,
+    isDefaultWeighting,
+    metricStrength,
+    findBassNotes,
+    findEdgeNotes,
+    weighNoteEvents
+};
+
+// Note weighting strategies.
+// Each note event gets a `weight` = base (duration or 1 per onset)
+// × velocity (optional) × (1 + boost) for every boost that applies to it.
+// buildNoteWeightsFromEvents() and the key timeline sum `weight` when it is set.
+
+// Boosts are extra weight as a fraction (1 = count the note twice); 0 = off
+const DEFAULT_WEIGHTING = {
+    base: "duration",
+    velocity: false,
+    bass: 0,
+    strongBeats: 0,
+    edges: 0
+};
+
+const WEIGHTING_BASES = [
+    { id: "duration", label: "Duration" },
+    { id: "onsets", label: "Onset count" }
+];
+
+// `strength` is the value used when the boost is switched on in the UI
+const WEIGHTING_BOOSTS = [
+    { id: "bass", label: "Bass notes", strength: 1 },
+    { id: "strongBeats", label: "Strong beats", strength: 1 },
+    { id: "edges", label: "First/last chords", strength: 1 }
+];
+
+// Named combinations, compared side by side in test.html
+const WEIGHTING_PRESETS = [
+    { id: "duration", label: "Duration (default)", weighting: {} },
+    { id: "velocity", label: "Duration × velocity", weighting: { velocity: true } },
+    { id: "onsets", label: "Onset count", weighting: { base: "onsets" } },
+    { id: "bass", label: "Duration + bass", weighting: { bass: 1 } },
+    { id: "strongBeats", label: "Duration + strong beats", weighting: { strongBeats: 1 } },
+    { id: "edges", label: "Duration + first/last chords", weighting: { edges: 1 } },
+    { id: "all", label: "All combined", weighting: { velocity: true, bass: 1, strongBeats: 1, edges: 1 } }
+];
+
+function isDefaultWeighting(weighting) {
+    if (!weighting) return true;
+    const w = { ...DEFAULT_WEIGHTING, ...weighting };
+    return w.base === "duration" && !w.velocity && !(w.bass > 0) && !(w.strongBeats > 0) && !(w.edges > 0);
+}
+
+// How strong the metric position of `ticks` is: 1 on a downbeat, 0.5 on
+// another beat (dotted-quarter beats in 6/8, 9/8, 12/8), 0 in between.
+// header: { ppq, timeSignatures: [{ ticks, timeSignature: [num, den] }] }
+function metricStrength(ticks, header) {
+    const ppq = header?.ppq || 480;
+    const signatures = (header?.timeSignatures || []).slice().sort((a, b) => a.ticks - b.ticks);
+    let sig = { ticks: 0, timeSignature: [4, 4] };
+    for (const s of signatures) {
+        if (s.ticks <= ticks) sig = s;
+    }
+
+    const [num, den] = sig.timeSignature;
+    const compound = den === 8 && num > 3 && num % 3 === 0;
+    const beatTicks = ppq * (4 / den) * (compound ? 3 : 1);
+    const barTicks = ppq * (4 / den) * num;
+    // Humanized files are rarely exactly on the grid
+    const slop = ppq / 24;
+
+    const nearGrid = (pos, size) => {
+        const offset = pos % size;
+        return offset <= slop || size - offset <= slop;
+    };
+    const pos = Math.max(0, ticks - sig.ticks);
+    if (nearGrid(pos, barTicks)) return 1;
+    if (nearGrid(pos, beatTicks)) return 0.5;
+    return 0;
+}
+
+// Indices of notes that are the lowest sounding note when they start
+function findBassNotes(events) {
+    const order = events.map((e, i) => i).sort((a, b) => events[a].time - events[b].time);
+    const bass = new Set();
+    let active = [];
+
+    for (let i = 0; i < order.length; ) {
+        const time = events[order[i]].time;
+        const group = [];
+        while (i < order.length && events[order[i]].time - time < 1e-6) group.push(order[i++]);
+
+        active = active.filter(j => events[j].time + events[j].duration > time + 1e-6);
+        let lowest = Infinity;
+        for (const j of active) lowest = Math.min(lowest, events[j].midi);
+        for (const j of group) lowest = Math.min(lowest, events[j].midi);
+        for (const j of group) {
+            if (events[j].midi === lowest) bass.add(j);
+        }
+        active.push(...group);
+    }
+    return bass;
+}
+
+// Indices of notes in the first and the last chord (onsets within `tolerance` seconds)
+function findEdgeNotes(events, { tolerance = 0.05 } = {}) {
+    const edges = new Set();
+    if (events.length === 0) return edges;
+    // reduce, not Math.min(...): spreading a large file's notes overflows the stack
+    const first = events.reduce((min, e) => Math.min(min, e.time), Infinity);
+    const last = events.reduce((max, e) => Math.max(max, e.time), -Infinity);
+    events.forEach((e, i) => {
+        if (e.time - first <= tolerance || last - e.time <= tolerance) edges.add(i);
+    });
+    return edges;
+}
+
+// Copy of `events` ([{ midi, pc, time, duration, ticks, velocity }]) with a
+// `weight` per note. `header` (getHeaderInfo) is needed for strong beats.
+function weighNoteEvents(events, header, weighting = {}) {
+    const w = { ...DEFAULT_WEIGHTING, ...weighting };
+    const bass = w.bass > 0 ? findBassNotes(events) : null;
+    const edges = w.edges > 0 ? findEdgeNotes(events) : null;
+
+    return events.map((e, i) => {
+        let weight = w.base === "onsets" ? 1 : e.duration;
+        if (w.velocity) weight *= e.velocity ?? 1;
+        if (bass && bass.has(i)) weight *= 1 + w.bass;
+        if (w.strongBeats > 0 && e.ticks !== undefined) weight *= 1 + w.strongBeats * metricStrength(e.ticks, header);
+        if (edges && edges.has(i)) weight *= 1 + w.edges;
+        return { ...e, weight };
+    });
+}
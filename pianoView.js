@@ -35,7 +35,9 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
 
     let selected = new Set();
     let pressed = new Set();
+    let chordTones = new Set();
     let midiPctByPc = new Map();
+    let noteNames = null; // key-spelled labels per pitch class | null for sharps
     let suppressCallback = false;
 
     let audioContext = null;
@@ -223,6 +225,21 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
         playVoice({ freq, pc, velocity });
     }
 
+    // All notes at once (lightly strummed), e.g. a chord from the palette
+    function playChord(midis, { velocity = 0.7, strumMs = 18 } = {}) {
+        ensureAudioContext();
+        if (!isAudioRunning()) return;
+        cancelPreviews();
+        const token = ++previewToken;
+        const seq = (midis || []).map(Number).filter((v) => Number.isFinite(v));
+        seq.forEach((midi, idx) => {
+            schedulePreview(() => {
+                if (token !== previewToken) return;
+                playMidiNote(midi, velocity);
+            }, idx * strumMs);
+        });
+    }
+
     function previewPitchClasses(pcs, { velocity = 0.85, intervalMs = 190 } = {}) {
         ensureAudioContext();
         if (!isAudioRunning()) return;
@@ -317,7 +334,7 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
             key.dataset.pc = String(pc);
             key.innerHTML = `
                 <div class="vpiano-label">
-                    <div class="vpiano-note">${noteNameForPc(pc)}</div>
+                    <div class="vpiano-note">${labelForPc(pc)}</div>
                     <div class="vpiano-pct"></div>
                 </div>
             `;
@@ -350,7 +367,7 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
 
             key.innerHTML = `
                 <div class="vpiano-label">
-                    <div class="vpiano-note">${noteNameForPc(pc)}</div>
+                    <div class="vpiano-note">${labelForPc(pc)}</div>
                     <div class="vpiano-pct"></div>
                 </div>
             `;
@@ -381,10 +398,22 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
             const pc = Number(key.dataset.pc);
             key.classList.toggle('selected', selected.has(pc));
             key.classList.toggle('pressed', pressed.has(pc));
+            key.classList.toggle('chord-tone', chordTones.has(pc));
             key.setAttribute('aria-pressed', selected.has(pc) ? 'true' : 'false');
         });
     }
 
+    function labelForPc(pc) {
+        return (noteNames && noteNames[pc % 12]) || noteNameForPc(pc);
+    }
+
+    function syncAllKeyLabels() {
+        mountEl.querySelectorAll('.vpiano-key').forEach((key) => {
+            const noteEl = key.querySelector('.vpiano-note');
+            if (noteEl) noteEl.textContent = labelForPc(Number(key.dataset.pc));
+        });
+    }
+
     function syncAllKeyPercentages() {
         const keys = mountEl.querySelectorAll('.vpiano-key');
         keys.forEach((key) => {
@@ -437,6 +466,12 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
         syncAllKeyStates();
     }
 
+    // Mark the notes of a chord without changing the selection
+    function setChordTones(pcs) {
+        chordTones = new Set((pcs || []).map((v) => Number(v)));
+        syncAllKeyStates();
+    }
+
     function setMidiPercentages(pctMap) {
         midiPctByPc = new Map();
 
@@ -453,6 +488,13 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
         syncAllKeyPercentages();
     }
 
+    // Label the keys with a key's spelling (12 names by pitch class), or null
+    // for the default sharp names
+    function setNoteNames(names) {
+        noteNames = Array.isArray(names) && names.length === 12 ? names.slice() : null;
+        syncAllKeyLabels();
+    }
+
     function clearMidiPercentages() {
         midiPctByPc = new Map();
         syncAllKeyPercentages();
@@ -467,6 +509,8 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
     return {
         setSelectedPitchClasses,
         setPressedPitchClasses,
+        setChordTones,
+        setNoteNames,
         setMidiPercentages,
         clearMidiPercentages,
         getSelectedPitchClasses,
@@ -493,6 +537,7 @@ export function createVerticalPiano({ mountEl, onSelectionChange }) {
         previewPitchClasses,
         previewPitchClassSequence,
         previewMidiSequence,
+        playChord,
         cancelPreviews,
         stopAllAudio,
         unlockAudioFromGesture
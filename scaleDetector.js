@@ -1,28 +1,78 @@
+import {
+    registerScale,
+    unregisterScale,
+    getScale,
+    getScales,
+    getScaleFamilies,
+    DEFAULT_SEARCH_FAMILIES
+} from "./scaleRegistry.js";
+import { weighNoteEvents, isDefaultWeighting } from "./noteWeighting.js";
+import { filterNoteEvents } from "./noteFilters.js";
+import { analyzeChords, applyCadenceBonus } from "./chordAnalysis.js";
+import { spellKey } from "./noteSpelling.js";
+
 export {
     readMidi,
+    detectKey,
+    parseMidi,
+    extractNoteEvents,
+    buildNoteWeightsFromEvents,
+    analyzeMidi,
+    buildNoteWeights,
+    buildTrackNoteWeights,
+    mergeNoteWeights,
+    analyzeTracks,
+    getHeaderInfo,
+    getDeclaredKeys,
+    declaredKeyAt,
+    KEY_SIGNATURE_ROOTS,
+    applyKeyPrior,
+    DEFAULT_KEY_PRIOR,
+    isPercussionTrack,
     midiToNoteName,
     findMatchingScalesWeighted,
+    findMatchingScalesProfile,
     findMatchingScalesSimple,
-    getScalePitchClasses
+    rankKeys,
+    KEY_ALGORITHMS,
+    KEY_PROFILES,
+    DEFAULT_CALIBRATION,
+    DEFAULT_WEIGHTED_PARAMS,
+    WEIGHTED_PARAM_NAMES,
+    AMBIGUITY_MARGIN,
+    addProbabilities,
+    describeConfidence,
+    fitCalibration,
+    getScalePitchClasses,
+    getModeCharacteristicNotes,
+    getRelativeKeys,
+    computeScaleCoveragePct,
+    registerScale,
+    unregisterScale,
+    getScale,
+    getScales,
+    getScaleFamilies,
+    DEFAULT_SEARCH_FAMILIES
 };
 
-const SCALES = {
-    "Major":       [0, 2, 4, 5, 7, 9, 11],
-    "Minor":       [0, 2, 3, 5, 7, 8, 10]
-};
+// Core pipeline, no DOM access (same in the browser, Node and workers):
+// bytes -> parseMidi -> extractNoteEvents -> (filterNoteEvents) -> (weighNoteEvents)
+//       -> buildNoteWeightsFromEvents -> rankKeys (+ analyzeChords for the cadence bonus)
+// detectKey(bytes) runs all of it and resolves to analyzeMidi()'s result.
 
 function getScalePitchClasses(root, mode) {
-    const intervals = SCALES[mode];
-    if (!intervals) return [];
-    return buildScale(root, intervals);
+    const scale = getScale(mode);
+    if (!scale) return [];
+    return buildScale(root, scale.intervals);
 }
 
 // Simple mode: find all scales that contain ALL the used notes
-function findMatchingScalesSimple(usedNotes) {
+// `families`: scale families to search (default: DEFAULT_SEARCH_FAMILIES)
+function findMatchingScalesSimple(usedNotes, { families = DEFAULT_SEARCH_FAMILIES } = {}) {
     const results = [];
 
     for (let root = 0; root < 12; root++) {
-        for (const [name, intervals] of Object.entries(SCALES)) {
+        for (const { name, intervals } of getScales({ families })) {
             const scale = buildScale(root, intervals);
             
             // Check if ALL used notes are in this scale
@@ -32,7 +82,7 @@ function findMatchingScalesSimple(usedNotes) {
                 results.push({
                     root,
                     name,
-                    rootName: midiToNoteName(root)
+                    rootName: spellKey(root, name).tonic // e.g. "Eb", see noteSpelling.js
                 });
             }
         }
@@ -47,24 +97,54 @@ function midiToNoteName(pc) {
     return names[pc];
 }
 
+// Share of the note weight inside the scale, as whole percentages
+function computeScaleCoveragePct(root, mode, noteWeights) {
+    let total = 0;
+    let inTotal = 0;
+    const scaleNotes = getScalePitchClasses(root, mode);
+    for (const [pc, w] of noteWeights.entries()) {
+        total += w;
+        if (scaleNotes.includes(pc)) inTotal += w;
+    }
+    if (total <= 0) return { inPct: 0, outPct: 0 };
+
+    const inPct = Math.round((inTotal / total) * 100);
+    const outPct = Math.max(0, 100 - inPct);
+    return { inPct, outPct };
+}
+
 // build scale by adding intervals to root
 function buildScale(root, intervals) {
     return intervals.map(i => (root + i) % 12); 
 }
 
+// Pitch classes that define the mode (its third plus e.g. the raised 4th in
+// Lydian) and the "wrong" third to avoid
 function getModeCharacteristicNotes(root, mode) {
-    if (mode === "Major") {
-        return {
-            characteristic: (root + 4) % 12,  // major third
-            avoid: (root + 3) % 12            // minor third
-        };
-    } else if (mode === "Minor") {
-        return {
-            characteristic: (root + 3) % 12,  // minor third
-            avoid: (root + 4) % 12            // major third
-        };
-    }
-    return null;
+    const scale = getScale(mode);
+    if (!scale) return null;
+    return {
+        characteristic: buildScale(root, scale.characteristic),
+        avoid: buildScale(root, scale.avoid)
+    };
+}
+
+// Other keys of the same family built on the same notes
+// (e.g. C Major -> A Minor, D Dorian, ...; C Major Pentatonic -> A Minor Pentatonic)
+function getRelativeKeys(root, mode) {
+    const scale = getScale(mode);
+    if (!scale) return [];
+    const pcsKey = buildScale(root, scale.intervals).sort((a, b) => a - b).join(",");
+
+    const relatives = [];
+    for (const other of getScales({ families: [scale.family] })) {
+        for (let r = 0; r < 12; r++) {
+            if (r === root && other.name === mode) continue;
+            const otherKey = buildScale(r, other.intervals).sort((a, b) => a - b).join(",");
+            if (otherKey === pcsKey) relatives.push({ root: r, name: other.name });
+        }
+    }
+    return relatives;
 }
     
 // check if all used notes are in the scale
@@ -73,58 +153,402 @@ function scaleMatches(scaleNotes, usedNotes) {
     return usedNotes.every(note => scaleNotes.includes(note));
 }
 
-function readMidi(arrayBuffer, onResult) {
-    const midi = new Midi(arrayBuffer); // using library to parse MIDI
+// GM drums live on channel 10 (Tone.js: channel 9, instrument.percussion).
+// The "percussive" program family (taiko, woodblock, synth drum...) is unpitched too.
+const DRUM_TRACK_NAME = /\b(drums?|drum ?kit|percussion|perc)\b/i;
+
+function isPercussionTrack(track) {
+    if (!track) return false;
+    const instrument = track.instrument || {};
+    if (track.channel === 9 || instrument.percussion) return true;
+    if (instrument.family === "drums" || instrument.family === "percussive") return true;
+    return DRUM_TRACK_NAME.test(track.name || "");
+}
+
+// Plain note timeline (seconds and ticks) of one track
+function trackNoteEvents(track, index) {
+    return track.notes.map(note => ({
+        midi: note.midi,
+        pc: note.midi % 12,
+        time: note.time,
+        duration: note.duration,
+        ticks: note.ticks,
+        durationTicks: note.durationTicks,
+        velocity: note.velocity,
+        channel: track.channel,
+        track: index
+    }));
+}
 
+// Note events of every track, skipping percussion unless `includeDrums` is set
+function extractNoteEvents(midi, { includeDrums = false } = {}) {
+    const events = [];
+    midi.tracks.forEach((track, index) => {
+        if (!includeDrums && isPercussionTrack(track)) return;
+        // One by one: push(...) with a large track's notes overflows the stack
+        for (const event of trackNoteEvents(track, index)) events.push(event);
+    });
+    return events;
+}
+
+// Sum note durations (or `weight`, see noteWeighting.js) per pitch class
+function buildNoteWeightsFromEvents(events) {
     // key = pitch class (0-11), value = total length
-    const noteWeights  = new Map();
+    const noteWeights = new Map();
+
+    events.forEach(e => {
+        noteWeights.set(
+            e.pc,
+            (noteWeights.get(e.pc) || 0) + (e.weight ?? e.duration)
+        );
+    });
+
+    return noteWeights;
+}
+
+// Sum note durations per pitch class for one track
+function buildTrackNoteWeights(track) {
+    return buildNoteWeightsFromEvents(trackNoteEvents(track));
+}
+
+function mergeNoteWeights(weightMaps) {
+    const merged = new Map();
+    for (const noteWeights of weightMaps) {
+        for (const [pc, w] of noteWeights.entries()) {
+            merged.set(pc, (merged.get(pc) || 0) + w);
+        }
+    }
+    return merged;
+}
+
+// Sum note durations per pitch class. Percussion tracks are skipped unless
+// `includeDrums` is set; the skipped counts are returned for display.
+// `filters` (see noteFilters.js) drops notes first; `weighting` (see
+// noteWeighting.js) picks another weight per note. `events` are the filtered
+// notes before weighting (for chord detection).
+function buildNoteWeights(midi, { includeDrums = false, filters, weighting } = {}) {
+    let droppedNotes = 0;
+    let droppedTracks = 0;
 
-    // Extract MIDI note numbers from all tracks
     midi.tracks.forEach(track => {
-        track.notes.forEach(note => {
-            const pc = note.midi % 12;
-            const duration = note.duration;
-            
-            noteWeights.set(
-                pc, 
-                (noteWeights.get(pc) || 0) + duration
-            );
+        if (!includeDrums && isPercussionTrack(track)) {
+            droppedNotes += track.notes.length;
+            if (track.notes.length > 0) droppedTracks++;
+        }
+    });
+
+    const header = getHeaderInfo(midi);
+    const events = filterNoteEvents(extractNoteEvents(midi, { includeDrums }), header, filters);
+    const weighted = isDefaultWeighting(weighting) ? events : weighNoteEvents(events, header, weighting);
+
+    return { noteWeights: buildNoteWeightsFromEvents(weighted), droppedNotes, droppedTracks, events };
+}
+
+// Per-track summary with its own best-guess key. Tracks without notes
+// (tempo/meta tracks) are left out; `index` is the position in midi.tracks.
+function analyzeTracks(midi, params = {}) {
+    const tracks = [];
+
+    midi.tracks.forEach((track, index) => {
+        if (track.notes.length === 0) return;
+
+        // Plain note timeline for time-aware analysis
+        const events = trackNoteEvents(track, index);
+        const noteWeights = buildNoteWeightsFromEvents(events);
+        const usedNotes = [...noteWeights.keys()].sort((a, b) => a - b);
+        const isPercussion = isPercussionTrack(track);
+        const best = isPercussion
+            ? null
+            : findMatchingScalesWeighted(usedNotes, noteWeights, params)[0] || null;
+
+        tracks.push({
+            index,
+            name: track.name || "",
+            instrument: track.instrument?.name || "",
+            channel: track.channel,
+            noteCount: track.notes.length,
+            isPercussion,
+            noteWeights,
+            usedNotes,
+            events,
+            best
         });
     });
 
+    return tracks;
+}
+
+// Plain copy of the timing info in the MIDI header (for bar/beat grids)
+function getHeaderInfo(midi) {
+    const header = midi.header;
+    return {
+        ppq: header.ppq,
+        tempos: header.tempos.map(t => ({ ticks: t.ticks, bpm: t.bpm })),
+        timeSignatures: header.timeSignatures.map(ts => ({ ticks: ts.ticks, timeSignature: ts.timeSignature.slice() }))
+    };
+}
+
+// Key signature meta events name the major key with that many sharps/flats,
+// also for minor ones (0 accidentals + "minor" = A Minor, not C Minor)
+const KEY_SIGNATURE_ROOTS = {
+    "Cb": 11, "Gb": 6, "Db": 1, "Ab": 8, "Eb": 3, "Bb": 10, "F": 5,
+    "C": 0, "G": 7, "D": 2, "A": 9, "E": 4, "B": 11, "F#": 6, "C#": 1
+};
+
+// Keys declared by the file's key signature events, in time order:
+// [{ ticks, time, root, name, share }] where `share` is the part of the file
+// (0-1) until the next change. Repeats of the same key are merged.
+function getDeclaredKeys(midi) {
+    const signatures = (midi.header.keySignatures || [])
+        .filter(ks => KEY_SIGNATURE_ROOTS[ks.key] !== undefined)
+        .slice()
+        .sort((a, b) => a.ticks - b.ticks);
+
+    const declared = [];
+    for (const ks of signatures) {
+        const isMinor = ks.scale === "minor";
+        const root = (KEY_SIGNATURE_ROOTS[ks.key] + (isMinor ? 9 : 0)) % 12;
+        const name = isMinor ? "Minor" : "Major";
+        const last = declared[declared.length - 1];
+        if (last && last.root === root && last.name === name) continue;
+        if (last && last.ticks === ks.ticks) declared.pop(); // same tick: the later event wins
+        declared.push({ ticks: ks.ticks, time: midi.header.ticksToSeconds(ks.ticks), root, name });
+    }
+
+    // The first key also covers anything before it
+    const endTicks = Math.max(1, midi.durationTicks || 0, ...declared.map(k => k.ticks + 1));
+    declared.forEach((k, i) => {
+        const from = i === 0 ? 0 : k.ticks;
+        const to = i + 1 < declared.length ? declared[i + 1].ticks : endTicks;
+        k.share = Math.max(0, to - from) / endTicks;
+    });
+    return declared;
+}
+
+// Declared key in effect at `seconds` (the first one before any change)
+function declaredKeyAt(declaredKeys, seconds) {
+    if (!declaredKeys || declaredKeys.length === 0) return null;
+    let current = declaredKeys[0];
+    for (const k of declaredKeys) {
+        if (k.time <= seconds) current = k;
+    }
+    return current;
+}
+
+// Prior strength for the declared key(s), as a share of the score range
+// (note weight for "weighted", correlation for the profiles)
+const DEFAULT_KEY_PRIOR = 0.25;
+
+// Boost the declared keys by `weight * scale * share` (`scale` = the total
+// note weight for weighted scores, 1 for correlations). Re-sorts `matches`
+// and refreshes probabilities; returns a new array.
+function applyKeyPrior(matches, declaredKeys, { weight = DEFAULT_KEY_PRIOR, scale = 1, totalWeight, calibration } = {}) {
+    if (!declaredKeys || declaredKeys.length === 0 || !(weight > 0)) return matches;
+
+    const boosted = matches.map(m => {
+        let bonus = 0;
+        for (const k of declaredKeys) {
+            if (k.root === m.root && k.name === m.name) bonus += weight * scale * (k.share ?? 1);
+        }
+        return bonus > 0 ? { ...m, score: m.score + bonus, keyPriorBonus: bonus } : { ...m };
+    });
+
+    boosted.sort((a, b) => {
+        if (b.score !== a.score) {
+            return b.score - a.score;
+        }
+        return a.missing - b.missing;
+    });
+
+    if (boosted[0]?.probability !== undefined && totalWeight > 0) {
+        addProbabilities(boosted, totalWeight, calibration);
+    }
+    return boosted;
+}
+
+// Full analysis of a parsed MIDI object (browser or Node)
+// `options.algorithm` picks the ranking (see KEY_ALGORITHMS, default weighted)
+// `options.keyPrior` (e.g. DEFAULT_KEY_PRIOR) favours the file's declared key
+// `options.filters` / `options.weighting` filter and weigh the notes
+// (see noteFilters.js and noteWeighting.js)
+// `options.chordUnit` ("bar" or "beat") sets the chord grid; `options.cadenceBonus`
+// (default on for weighted) lets V-I cadences favour keys, see rankKeys()
+function analyzeMidi(midi, options = {}) {
+    const { noteWeights, droppedNotes, droppedTracks, events } = buildNoteWeights(midi, options);
+
     const usedNotes = [...noteWeights.keys()]
         .sort((a, b) => a - b) // Sort pitch classes numerically
 
-    const matches = findMatchingScalesWeighted(
-        usedNotes,
-        noteWeights
-    );
+    const header = getHeaderInfo(midi);
+    const declaredKeys = getDeclaredKeys(midi);
+    const chordSegments = analyzeChords(events, header, { unit: options.chordUnit });
+    const matches = rankKeys(usedNotes, noteWeights, { ...options, declaredKeys, chordSegments });
 
     const tonic = matches[0]?.root ?? 0;
+    const tracks = analyzeTracks(midi, options);
+
+    return { usedNotes, noteWeights, matches, tonic, droppedNotes, droppedTracks, tracks, header, declaredKeys, chordSegments };
+}
+
+// Parse MIDI bytes (ArrayBuffer, Uint8Array or Node Buffer).
+// The parser is the Tone.js `Midi` class: pass `{ Midi }` (Node, module
+// workers) or load Midi.js first so it is on `globalThis` (browser page).
+function parseMidi(bytes, { Midi: MidiParser = globalThis.Midi } = {}) {
+    if (typeof MidiParser !== "function") {
+        throw new Error("parseMidi: no MIDI parser; pass { Midi } or load Midi.js first");
+    }
+    return new MidiParser(bytes);
+}
 
-    if (onResult) {
-        onResult(usedNotes, noteWeights, matches, tonic);
+// bytes -> analyzeMidi() result, as a promise (rejects on unreadable files)
+async function detectKey(bytes, options = {}) {
+    return analyzeMidi(parseMidi(bytes, options), options);
+}
+
+// Kept for older callers: same as detectKey(), plus the original
+// onResult(usedNotes, noteWeights, matches, tonic, extra) callback.
+function readMidi(bytes, onResult, options = {}) {
+    if (typeof onResult !== "function") {
+        return detectKey(bytes, onResult || {});
     }
+    return detectKey(bytes, options).then(result => {
+        const { usedNotes, noteWeights, matches, tonic, droppedNotes, droppedTracks, tracks, header } = result;
+        onResult(usedNotes, noteWeights, matches, tonic, { droppedNotes, droppedTracks, tracks, header });
+        return result;
+    });
+}
+
+// Softmax temperature that turns weighted scores into probabilities.
+// Scores are divided by the total note weight first, so it does not depend
+// on file length. Refit from the labeled set with test.html ("Fit calibration").
+const DEFAULT_CALIBRATION = { temperature: 0.1 };
+
+// Top candidates closer than this (in probability) are flagged as ambiguous
+const AMBIGUITY_MARGIN = 0.2;
+
+// Adds `probability` (softmax over all candidates) and `margin` (probability
+// minus the best other candidate's, so only the top one is positive).
+// `results` must be sorted best-first.
+function addProbabilities(results, totalWeight, { temperature = DEFAULT_CALIBRATION.temperature } = {}) {
+    if (results.length === 0) return results;
+    const scale = (totalWeight > 0 ? totalWeight : 1) * temperature;
+    const top = results[0].score;
+
+    const exps = results.map(m => Math.exp((m.score - top) / scale));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    results.forEach((m, i) => {
+        m.probability = exps[i] / sum;
+    });
+
+    const first = results[0].probability;
+    const second = results.length > 1 ? results[1].probability : 0;
+    results.forEach((m, i) => {
+        m.margin = m.probability - (i === 0 ? second : first);
+    });
+    return results;
+}
+
+// Confidence summary for `key` (default: the top match).
+// `relativePair` is set when the runner-up has the same notes, e.g. C Major vs A Minor.
+function describeConfidence(matches, key = matches?.[0]) {
+    if (!key || !matches || matches.length === 0 || matches[0].probability === undefined) return null;
+
+    const entry = matches.find(m => m.root === key.root && m.name === key.name);
+    if (!entry) return null;
+    const runnerUp = matches.find(m => m !== entry) || null;
+
+    const probability = entry.probability;
+    const margin = probability - (runnerUp ? runnerUp.probability : 0);
+    const relativePair = !!runnerUp && getRelativeKeys(entry.root, entry.name)
+        .some(r => r.root === runnerUp.root && r.name === runnerUp.name);
+
+    return {
+        probability,
+        margin,
+        runnerUp,
+        ambiguous: margin < AMBIGUITY_MARGIN,
+        relativePair
+    };
 }
 
+// Fit the softmax temperature on labeled samples
+// ([{ usedNotes, noteWeights, chordSegments?, expectedRoot, expectedMode }]) by
+// maximizing the mean log-likelihood of the true key. Returns { temperature, logLoss, used }.
+function fitCalibration(samples, params = {}) {
+    // Scores only depend on params, so rank once and reuse for every temperature
+    const ranked = [];
+    for (const sample of samples) {
+        const matches = rankKeys(sample.usedNotes, sample.noteWeights, { ...params, chordSegments: sample.chordSegments });
+        const trueIndex = matches.findIndex(m => m.root === sample.expectedRoot && m.name === sample.expectedMode);
+        if (trueIndex === -1) continue;
+        let total = 0;
+        for (const w of sample.noteWeights.values()) total += w;
+        ranked.push({ matches, trueIndex, total });
+    }
+    if (ranked.length === 0) return null;
+
+    function logLoss(temperature) {
+        let loss = 0;
+        for (const { matches, trueIndex, total } of ranked) {
+            addProbabilities(matches, total, { temperature });
+            loss -= Math.log(Math.max(1e-12, matches[trueIndex].probability));
+        }
+        return loss / ranked.length;
+    }
+
+    // Golden-section search over log(temperature)
+    let lo = Math.log(0.005);
+    let hi = Math.log(5);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    for (let i = 0; i < 40; i++) {
+        const a = hi - ratio * (hi - lo);
+        const b = lo + ratio * (hi - lo);
+        if (logLoss(Math.exp(a)) < logLoss(Math.exp(b))) {
+            hi = b;
+        } else {
+            lo = a;
+        }
+    }
+    const temperature = Math.exp((lo + hi) / 2);
+    return { temperature, logLoss: logLoss(temperature), used: ranked.length };
+}
+
+// Default multipliers (tuned from 640-file grid search).
+// A params file written by tune.js can be passed as `params` as-is.
+const DEFAULT_WEIGHTED_PARAMS = {
+    tonicMult: 4.0,
+    dominantMult: 1.5,
+    subdominantMult: 0.5,
+    thirdMult: 1.2,
+    wrongThirdPenalty: 0.5,
+    outsidePenalty: 3.0
+};
+
+const WEIGHTED_PARAM_NAMES = Object.keys(DEFAULT_WEIGHTED_PARAMS);
+
 // Find matching scales with weighted scoring
+// `params.families`: scale families to search (default: DEFAULT_SEARCH_FAMILIES;
+// pass getScaleFamilies() for every registered scale)
+// `params.calibration` overrides DEFAULT_CALIBRATION for the probabilities
 function findMatchingScalesWeighted(usedNotes, noteWeights, params = {}) {
-    // Default multipliers (tuned from 640-file grid search)
     const {
-        tonicMult = 4.0,
-        dominantMult = 1.5,
-        subdominantMult = 0.5,
-        thirdMult = 1.2,
-        wrongThirdPenalty = 0.5,
-        outsidePenalty = 3.0
+        tonicMult = DEFAULT_WEIGHTED_PARAMS.tonicMult,
+        dominantMult = DEFAULT_WEIGHTED_PARAMS.dominantMult,
+        subdominantMult = DEFAULT_WEIGHTED_PARAMS.subdominantMult,
+        thirdMult = DEFAULT_WEIGHTED_PARAMS.thirdMult,
+        wrongThirdPenalty = DEFAULT_WEIGHTED_PARAMS.wrongThirdPenalty,
+        outsidePenalty = DEFAULT_WEIGHTED_PARAMS.outsidePenalty,
+        families = DEFAULT_SEARCH_FAMILIES,
+        calibration = DEFAULT_CALIBRATION
     } = params;
 
     const results = []; // to store scale match results
 
     // Iterate over all possible roots (0-11)
     for (let root = 0; root < 12; root++) {
-        for (const [name, intervals] of Object.entries(SCALES)) {
+        for (const { name, intervals } of getScales({ families })) {
             const scale = buildScale(root, intervals); // build scale notes
+            const { characteristic, avoid } = getModeCharacteristicNotes(root, name);
 
             let score  = 0;  // total weight of notes explained by the scale
             let penalty = 0;    // total weight of notes not in the scale
@@ -149,13 +573,10 @@ function findMatchingScalesWeighted(usedNotes, noteWeights, params = {}) {
                     } else if (scaleDegree === 5) {
                         // SUBDOMINANT
                         points *= subdominantMult;
-                    } else if (scaleDegree === 3 || scaleDegree === 4) {
-                        // THIRD (major or minor) - important for defining mode
-                        if (name === "Major" && scaleDegree === 4) {
-                            points *= thirdMult; // Major third in Major scale
-                        } else if (name === "Minor" && scaleDegree === 3) {
-                            points *= thirdMult; // Minor third in Minor scale
-                        }
+                    } else if (characteristic.includes(pc)) {
+                        // THIRD and other mode-defining degrees
+                        // (e.g. raised 4th in Lydian, flat 7th in Mixolydian)
+                        points *= thirdMult;
                     }
 
                     score += points;
@@ -164,11 +585,9 @@ function findMatchingScalesWeighted(usedNotes, noteWeights, params = {}) {
                     penalty += weight * outsidePenalty;
                     
                     // Extra penalty if it is the "wrong" third
-                    const scaleDegree = (pc - root + 12) % 12;
-                    if (name === "Major" && scaleDegree === 3) {
-                        penalty += weight * wrongThirdPenalty; // Minor third in Major = bad
-                    } else if (name === "Minor" && scaleDegree === 4) {
-                        penalty += weight * wrongThirdPenalty; // Major third in Minor = bad
+                    // (e.g. minor third in Major = bad)
+                    if (avoid.includes(pc)) {
+                        penalty += weight * wrongThirdPenalty;
                     }
                 }
             });
@@ -193,15 +612,142 @@ function findMatchingScalesWeighted(usedNotes, noteWeights, params = {}) {
         }
         return a.missing - b.missing;
     });
+
+    let totalWeight = 0;
+    usedNotes.forEach(pc => {
+        totalWeight += noteWeights.get(pc) || 0;
+    });
+    addProbabilities(results, totalWeight, calibration);
     
     return results;
 }
 
 
-// testing
-function isCorrectPrediction(matches, trueRoot, trueMode) {
-    // check top 2 suggestions
-    return matches.slice(0, 2).some(m => 
-        m.root === trueRoot && m.name === trueMode
+// Published key profiles (index 0 = tonic), used by findMatchingScalesProfile
+const KEY_PROFILES = {
+    krumhansl: {
+        label: "Krumhansl-Kessler",
+        major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+        minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    },
+    temperley: {
+        // Temperley (2007), from the Kostka-Payne corpus
+        label: "Temperley",
+        major: [0.748, 0.060, 0.488, 0.082, 0.670, 0.460, 0.096, 0.715, 0.104, 0.366, 0.057, 0.400],
+        minor: [0.712, 0.084, 0.474, 0.618, 0.049, 0.460, 0.105, 0.747, 0.404, 0.067, 0.133, 0.330]
+    },
+    aarden: {
+        label: "Aarden-Essen",
+        major: [17.7661, 0.145624, 14.9265, 0.160186, 19.8049, 11.3587, 0.291248, 22.062, 0.145624, 8.15494, 0.232998, 4.95122],
+        minor: [18.2648, 0.737619, 14.0499, 16.8599, 0.702494, 14.4362, 0.702494, 18.6161, 4.56621, 1.93186, 7.37619, 1.75623]
+    }
+};
+
+// Key-finding algorithms selectable in the UI / test page. `scales`: the
+// only scales an algorithm ranks (profiles have Major/Minor templates only;
+// they ignore `families`), or null for every searched scale.
+const KEY_ALGORITHMS = [
+    { id: "weighted", label: "Weighted (default)", scales: null },
+    ...Object.entries(KEY_PROFILES).map(([id, p]) => ({ id, label: `${p.label} profile (Major/Minor only)`, scales: ["Major", "Minor"] }))
+];
+
+function pearson(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let num = 0;
+    let denX = 0;
+    let denY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = xs[i] - meanX;
+        const dy = ys[i] - meanY;
+        num += dx * dy;
+        denX += dx * dx;
+        denY += dy * dy;
+    }
+    const den = Math.sqrt(denX * denY);
+    return den > 0 ? num / den : 0;
+}
+
+// Profile-correlation key finding (Krumhansl-Schmuckler): correlate the
+// 12-bin pitch-class vector with a key profile rotated to each of the 24
+// Major/Minor keys. Same result shape as findMatchingScalesWeighted;
+// `score` is the correlation (-1..1), `missing` the weight outside the key.
+function findMatchingScalesProfile(usedNotes, noteWeights, { profile = "krumhansl" } = {}) {
+    const profileData = KEY_PROFILES[profile];
+    if (!profileData) {
+        throw new Error(`findMatchingScalesProfile: unknown profile "${profile}"`);
+    }
+
+    const vector = Array.from({ length: 12 }, (_, pc) =>
+        usedNotes.includes(pc) ? (noteWeights.get(pc) || 0) : 0
     );
-}
\ No newline at end of file
+
+    const results = [];
+    for (let root = 0; root < 12; root++) {
+        for (const name of ["Major", "Minor"]) {
+            const template = profileData[name === "Major" ? "major" : "minor"];
+            // rotated[pc] = profile value of pc's degree in this key
+            const rotated = vector.map((_, pc) => template[(pc - root + 12) % 12]);
+            const r = pearson(vector, rotated);
+
+            const scale = getScalePitchClasses(root, name);
+            let missing = 0;
+            usedNotes.forEach(pc => {
+                if (!scale.includes(pc)) missing += noteWeights.get(pc) || 0;
+            });
+
+            results.push({
+                root,
+                name,
+                score: r,
+                rawScore: r,
+                missing,
+                tonicMatch: false
+            });
+        }
+    }
+
+    results.sort((a, b) => {
+        if (b.score !== a.score) {
+            return b.score - a.score;
+        }
+        return a.missing - b.missing;
+    });
+
+    return results;
+}
+
+// Rank keys with one of KEY_ALGORITHMS ("weighted" or a KEY_PROFILES id).
+// With `keyPrior` > 0 the `declaredKeys` (getDeclaredKeys) get a bonus.
+// With `cadenceBonus` (default: weighted only) the V-I cadences in
+// `chordSegments` (analyzeChords) do too, see applyCadenceBonus().
+function rankKeys(usedNotes, noteWeights, {
+    algorithm = "weighted",
+    keyPrior = 0,
+    declaredKeys,
+    chordSegments,
+    cadenceBonus = algorithm === "weighted",
+    ...params
+} = {}) {
+    let matches = algorithm === "weighted"
+        ? findMatchingScalesWeighted(usedNotes, noteWeights, params)
+        : findMatchingScalesProfile(usedNotes, noteWeights, { ...params, profile: algorithm });
+
+    let totalWeight = 0;
+    usedNotes.forEach(pc => {
+        totalWeight += noteWeights.get(pc) || 0;
+    });
+    if (keyPrior > 0 && declaredKeys && declaredKeys.length > 0) {
+        matches = applyKeyPrior(matches, declaredKeys, {
+            weight: keyPrior,
+            scale: algorithm === "weighted" ? totalWeight : 1,
+            totalWeight,
+            calibration: params.calibration
+        });
+    }
+    if (cadenceBonus && chordSegments && chordSegments.length > 1) {
+        matches = applyCadenceBonus(matches, chordSegments, { totalWeight, calibration: params.calibration });
+    }
+    return matches;
+}
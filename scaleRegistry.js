@@ -0,0 +1,90 @@
+export {
+    registerScale,
+    unregisterScale,
+    getScale,
+    getScales,
+    getScaleFamilies,
+    DEFAULT_SEARCH_FAMILIES
+};
+
+// name -> { name, intervals, family, characteristic, avoid }
+//   intervals:      semitones above the root, ascending, starting at 0
+//   family:         group used to filter which scales are searched
+//   characteristic: degrees that define the scale (weighted like the third)
+//   avoid:          degrees that argue against it (e.g. the opposite third)
+const registry = new Map();
+
+function normalizeDegrees(degrees) {
+    return [...new Set((degrees || []).map(d => ((Number(d) % 12) + 12) % 12))];
+}
+
+// Add (or replace) a scale. Returns the stored entry.
+function registerScale({ name, intervals, family = "custom", characteristic = [], avoid = [] }) {
+    if (!name || typeof name !== "string") {
+        throw new Error("registerScale: name is required");
+    }
+    const steps = normalizeDegrees(intervals).sort((a, b) => a - b);
+    if (steps.length === 0 || steps[0] !== 0) {
+        throw new Error(`registerScale: intervals for "${name}" must include the root (0)`);
+    }
+
+    const entry = {
+        name,
+        intervals: steps,
+        family,
+        characteristic: normalizeDegrees(characteristic),
+        avoid: normalizeDegrees(avoid)
+    };
+    registry.set(name, entry);
+    return entry;
+}
+
+function unregisterScale(name) {
+    return registry.delete(name);
+}
+
+function getScale(name) {
+    return registry.get(name) || null;
+}
+
+// All scales in registration order, optionally limited to some families
+function getScales({ families } = {}) {
+    const all = [...registry.values()];
+    if (!families) return all;
+    const allowed = new Set(families);
+    return all.filter(s => allowed.has(s.family));
+}
+
+function getScaleFamilies() {
+    return [...new Set([...registry.values()].map(s => s.family))];
+}
+
+// Families the detector searches unless asked for others. The other families
+// stay opt-in: Harmonic Minor's raised 7th would otherwise beat plain Minor
+// on any minor piece with a dominant chord.
+const DEFAULT_SEARCH_FAMILIES = ["diatonic"];
+
+// Built-in scales. The diatonic modes come first so ties prefer them,
+// with "Major" and "Minor" (Ionian/Aeolian) ahead of the other modes.
+[
+    { name: "Major",      intervals: [0, 2, 4, 5, 7, 9, 11], family: "diatonic", characteristic: [4],     avoid: [3] },
+    { name: "Minor",      intervals: [0, 2, 3, 5, 7, 8, 10], family: "diatonic", characteristic: [3],     avoid: [4] },
+    { name: "Dorian",     intervals: [0, 2, 3, 5, 7, 9, 10], family: "diatonic", characteristic: [3, 9],  avoid: [4] }, // major 6th
+    { name: "Phrygian",   intervals: [0, 1, 3, 5, 7, 8, 10], family: "diatonic", characteristic: [3, 1],  avoid: [4] }, // flat 2nd
+    { name: "Lydian",     intervals: [0, 2, 4, 6, 7, 9, 11], family: "diatonic", characteristic: [4, 6],  avoid: [3] }, // raised 4th
+    { name: "Mixolydian", intervals: [0, 2, 4, 5, 7, 9, 10], family: "diatonic", characteristic: [4, 10], avoid: [3] }, // flat 7th
+    { name: "Locrian",    intervals: [0, 1, 3, 5, 6, 8, 10], family: "diatonic", characteristic: [3, 6],  avoid: [4] }, // flat 5th
+
+    { name: "Harmonic Minor", intervals: [0, 2, 3, 5, 7, 8, 11], family: "minor", characteristic: [3, 11],    avoid: [4] }, // raised 7th
+    { name: "Melodic Minor",  intervals: [0, 2, 3, 5, 7, 9, 11], family: "minor", characteristic: [3, 9, 11], avoid: [4] }, // raised 6th + 7th
+
+    { name: "Major Pentatonic", intervals: [0, 2, 4, 7, 9],  family: "pentatonic", characteristic: [4], avoid: [3] },
+    { name: "Minor Pentatonic", intervals: [0, 3, 5, 7, 10], family: "pentatonic", characteristic: [3], avoid: [4] },
+
+    // Minor blues; the major third is a common blue note, so it is not penalized
+    { name: "Blues", intervals: [0, 3, 5, 6, 7, 10], family: "blues", characteristic: [3, 6] },
+
+    { name: "Whole Tone",                intervals: [0, 2, 4, 6, 8, 10],          family: "symmetric" },
+    { name: "Diminished (half-whole)",   intervals: [0, 1, 3, 4, 6, 7, 9, 10],    family: "symmetric" },
+    { name: "Diminished (whole-half)",   intervals: [0, 2, 3, 5, 6, 8, 9, 11],    family: "symmetric" }
+].forEach(registerScale);
@@ -1,12 +1,43 @@
 import {
-    readMidi,
+    detectKey,
     midiToNoteName,
-    findMatchingScalesWeighted,
     findMatchingScalesSimple,
-    getScalePitchClasses
+    getScalePitchClasses,
+    getModeCharacteristicNotes,
+    getRelativeKeys,
+    getScale,
+    getScales,
+    getScaleFamilies,
+    DEFAULT_SEARCH_FAMILIES,
+    buildNoteWeightsFromEvents,
+    rankKeys,
+    KEY_ALGORITHMS,
+    describeConfidence,
+    computeScaleCoveragePct,
+    declaredKeyAt,
+    DEFAULT_KEY_PRIOR
 } from './scaleDetector.js';
 
+import { NOTE_NAMES, spellKey, formatKeyLabel, keyNoteNames, formatNoteName, describeKeySignature } from './noteSpelling.js';
 import { createVerticalPiano } from './pianoView.js';
+import { createTrackPanel } from './trackPanel.js';
+import { detectKeySegments } from './keySegments.js';
+import { createKeyTimeline } from './keyTimeline.js';
+import { analyzeChords } from './chordAnalysis.js';
+import { createChordStrip } from './chordStrip.js';
+import { createChordPalette } from './chordPalette.js';
+import { createStaffView } from './staffView.js';
+import { createCircleOfFifths } from './circleOfFifths.js';
+import { createMidiInput, isMidiInputSupported } from './midiInput.js';
+import { encodeShareState, decodeShareState } from './shareState.js';
+import { DEFAULT_WEIGHTING, WEIGHTING_BASES, WEIGHTING_BOOSTS, weighNoteEvents } from './noteWeighting.js';
+import { DEFAULT_NOTE_FILTERS, filterNoteEvents } from './noteFilters.js';
+import { EXPORT_CONTENTS, hasDiatonicChords, buildKeyMidi, keyMidiFilename } from './midiExport.js';
+import { TRANSPOSE_MAPPINGS, TRANSPOSE_DIRECTIONS, getTargetModes, planTranspose, transposeMidi } from './transpose.js';
+import { SNAP_DIRECTIONS, planSnap, applySnap } from './snapToKey.js';
+import { createNoteLibrary } from './noteLibrary.js';
+import { createLibraryPanel } from './libraryPanel.js';
+import { escapeHtml } from './escapeHtml.js';
 
 const dropzone = document.getElementById("dropzone");
 const fileInput = document.getElementById("fileInput");
@@ -19,42 +50,123 @@ const resetToMidiBtn = document.getElementById('resetToMidiBtn');
 const resetAllBtn = document.getElementById('resetAllBtn');
 const undoBtn = document.getElementById('undoBtn');
 const redoBtn = document.getElementById('redoBtn');
+const copyLinkBtn = document.getElementById('copyLinkBtn');
 const selectionHint = document.getElementById('selectionHint');
 const pianoMount = document.getElementById('pianoMount');
+const trackPanelMount = document.getElementById('trackPanel');
+const keyTimelineMount = document.getElementById('keyTimeline');
+const chordStripMount = document.getElementById('chordStrip');
+const chordPaletteMount = document.getElementById('chordPalette');
+const staffViewMount = document.getElementById('staffView');
+const circleOfFifthsMount = document.getElementById('circleOfFifths');
+const noteLibraryMount = document.getElementById('noteLibrary');
 
 const keyboardModeToggle = document.getElementById('keyboardModeToggle');
 const keyboardInputMode = document.getElementById('keyboardInputMode');
+const midiInputToggle = document.getElementById('midiInputToggle');
+const midiDeviceSelect = document.getElementById('midiDeviceSelect');
+const midiChannelSelect = document.getElementById('midiChannelSelect');
+const scaleFamilyFilter = document.getElementById('scaleFamilyFilter');
+const noteWeightingFilter = document.getElementById('noteWeighting');
+const analysisFilters = document.getElementById('analysisFilters');
+const filterChannels = document.getElementById('filterChannels');
+const resetFiltersBtn = document.getElementById('resetFiltersBtn');
+const exportContents = document.getElementById('exportContents');
+const exportHint = document.getElementById('exportHint');
+const exportOctaves = document.getElementById('exportOctaves');
+const exportMidiBtn = document.getElementById('exportMidiBtn');
+const transposeRoot = document.getElementById('transposeRoot');
+const transposeMode = document.getElementById('transposeMode');
+const transposeMapping = document.getElementById('transposeMapping');
+const transposeDirection = document.getElementById('transposeDirection');
+const transposeBtn = document.getElementById('transposeBtn');
+const transposeHint = document.getElementById('transposeHint');
+const snapDirection = document.getElementById('snapDirection');
+const snapPreviewBtn = document.getElementById('snapPreviewBtn');
+const snapHint = document.getElementById('snapHint');
+const snapPreview = document.getElementById('snapPreview');
+const snapDownloadBtn = document.getElementById('snapDownloadBtn');
+const algorithmSelect = document.getElementById('algorithmSelect');
+const keyPriorToggle = document.getElementById('keyPriorToggle');
 
 // Baseline (from MIDI) and current selection state
 let midiBaselineNoteWeights = null; // Map<pitchClass, duration>
 let midiBaselinePitchClasses = null; // Set<pitchClass>
 let midiPctByPc = null; // Map<pitchClass, pct>
+let midiDroppedDrums = null; // { droppedNotes, droppedTracks } | null
+let midiFilteredNotes = null; // { skipped, total } notes removed by the analysis filters | null
+let midiTracks = null; // per-track summaries from analyzeTracks() | null
+let midiFileNoteWeights = null; // Map<pitchClass, duration> for the whole file (included tracks)
+let midiKeySegments = null; // segments from detectKeySegments() | null
+let midiHeader = null; // { ppq, tempos, timeSignatures } from getHeaderInfo() | null
+let midiChordSegments = null; // segments from analyzeChords() | null
+let midiActiveRange = null; // { start, end } of the selected key segment (seconds) | null
+let midiDeclaredKeys = null; // key signatures from getDeclaredKeys() | null
+let midiFileBytes = null; // bytes of the loaded file, for transposing | null
+let midiFileName = null; // its name | null
+let snapPlan = null; // { key, direction, changes, total } from planSnap() for the preview | null
+let libraryEntries = []; // saved note sets from noteLibrary.js
+let chordUnit = 'bar';
 let selectedPitchClasses = new Set();
 
 let history = [];
 let historyIndex = -1;
 let suppressHistory = false;
 
+// The URL hash mirrors the page state (see shareState.js) and each undo step
+// gets a browser history entry with state { historyIndex, epoch }; the epoch
+// changes when the undo stack is reset, so older entries are not mistaken for it.
+let historyEpoch = 0;
+let restoringUrl = true; // no URL writes until a shared link has been restored
+
 let lastAppliedScale = null; // { root:number, mode:string } | null
+let staffKey = null; // { root, mode } last applied, kept on the staff while notes are edited | null
+let titleKey = null; // { root, name } shown in the title, for the MIDI download and transpose | null
 
 // Keyboard piano mode
 let keyboardModeEnabled = false;
 let keyboardMode = 'record'; // 'record' | 'live'
 const heldKeyboardCodes = new Set();
+
+// External MIDI keyboard input (shares Record/Live with keyboard mode)
+let midiInputEnabled = false;
 let showAllScales = false;
 
-const SCALE_INTERVALS = {
-    Major: [0, 2, 4, 5, 7, 9, 11, 12],
-    Minor: [0, 2, 3, 5, 7, 8, 10, 12]
-};
+// Scale families searched for candidates (see scaleRegistry.js); the others are opt-in
+let enabledFamilies = new Set(DEFAULT_SEARCH_FAMILIES);
+
+// Key-finding algorithm: 'weighted' or a profile id (see KEY_ALGORITHMS)
+let keyAlgorithm = 'weighted';
+
+// Boost the key named by the file's key signature (see applyKeyPrior)
+let useKeyPrior = false;
+
+// How much each MIDI note counts (see noteWeighting.js)
+let noteWeighting = { ...DEFAULT_WEIGHTING };
+
+// Which MIDI notes are analyzed at all (see noteFilters.js)
+let noteFilters = { ...DEFAULT_NOTE_FILTERS };
+
+// Unchecking every family would leave nothing to rank; search the default ones instead.
+function getSearchFamilies() {
+    return enabledFamilies.size > 0 ? [...enabledFamilies] : undefined;
+}
+
+// Candidates containing every note, limited to the scales the key algorithm
+// ranks (the profiles only rank Major/Minor; others would sort unranked)
+function findCandidateScales(usedNotes) {
+    const { scales } = KEY_ALGORITHMS.find(a => a.id === keyAlgorithm) || {};
+    const matches = findMatchingScalesSimple(usedNotes, { families: getSearchFamilies() });
+    return scales ? matches.filter(m => scales.includes(m.name)) : matches;
+}
 
 function buildScalePreviewMidiSequence(root, mode) {
-    const intervals = SCALE_INTERVALS[mode];
-    if (!intervals) return [];
+    const scale = getScale(mode);
+    if (!scale) return [];
     const rootPc = ((Number(root) % 12) + 12) % 12;
     // Start around C4 (60) and go up one octave, ending on tonic again.
     const baseMidi = 60 + rootPc;
-    return intervals.map((i) => baseMidi + i);
+    return [...scale.intervals, 12].map((i) => baseMidi + i);
 }
 
 // Map physical key positions (event.code) to MIDI note numbers.
@@ -117,9 +229,28 @@ function getHeldPitchClasses() {
         if (!Number.isFinite(midi)) continue;
         pcs.add(((midi % 12) + 12) % 12);
     }
+    if (midiInputEnabled) {
+        for (const midi of midiInput.getHeldNotes()) {
+            pcs.add(((midi % 12) + 12) % 12);
+        }
+    }
     return pcs;
 }
 
+// Computer keyboard and/or external MIDI keyboard
+function isPlayInputEnabled() {
+    return keyboardModeEnabled || midiInputEnabled;
+}
+
+function isLiveInput() {
+    return isPlayInputEnabled() && keyboardMode === 'live';
+}
+
+function getPlayInputLabel() {
+    if (keyboardModeEnabled && midiInputEnabled) return 'Keyboard + MIDI input';
+    return midiInputEnabled ? 'MIDI input' : 'Keyboard mode';
+}
+
 function syncPressedFromKeyboard() {
     const pcs = getHeldPitchClasses();
     if (piano && typeof piano.setPressedPitchClasses === 'function') {
@@ -155,6 +286,84 @@ function pushHistory(nextSet) {
     history.push(new Set(nextSet));
     historyIndex = history.length - 1;
     updateUndoRedoButtons();
+    syncUrl();
+}
+
+function getShareState() {
+    return {
+        notes: [...selectedPitchClasses],
+        key: lastAppliedScale,
+        showAll: showAllScales,
+        keyboard: keyboardModeEnabled,
+        inputMode: keyboardMode,
+        weights: midiBaselineNoteWeights
+    };
+}
+
+// Write the state into the hash: a new browser entry for a new undo step,
+// otherwise the current entry is updated in place
+function syncUrl() {
+    if (restoringUrl) return;
+    const hash = encodeShareState(getShareState());
+    const entry = { historyIndex, epoch: historyEpoch };
+    const current = window.history.state;
+    const url = hash ? `#${hash}` : `${window.location.pathname}${window.location.search}`;
+
+    if (current && current.epoch === historyEpoch && current.historyIndex < historyIndex) {
+        window.history.pushState(entry, '', url);
+        return;
+    }
+    const sameEntry = current && current.epoch === historyEpoch && current.historyIndex === historyIndex;
+    if (sameEntry && window.location.hash.replace(/^#/, '') === hash) return;
+    window.history.replaceState(entry, '', url);
+}
+
+// Browser back/forward map onto undo/redo while the entries are this stack's
+function isUrlInSync() {
+    const current = window.history.state;
+    return !!current && current.epoch === historyEpoch && current.historyIndex === historyIndex;
+}
+
+// Note weights without their file (a shared link or a library entry) act as
+// the MIDI baseline; `label` says where they came from
+function setStoredNoteWeights(weights, label) {
+    midiBaselineNoteWeights = new Map(weights);
+    midiBaselinePitchClasses = new Set(midiBaselineNoteWeights.keys());
+    midiPctByPc = buildPctMap(midiBaselineNoteWeights);
+    piano.setMidiPercentages(midiPctByPc);
+    fileName.textContent = label;
+    show(fileName);
+}
+
+// Forget the note weights and percentages of an earlier file or entry
+function clearStoredNoteWeights() {
+    midiBaselineNoteWeights = null;
+    midiBaselinePitchClasses = null;
+    midiPctByPc = null;
+    piano.clearMidiPercentages();
+    fileName.textContent = '';
+    hide(fileName);
+}
+
+// Apply a decoded link state; `recordHistory` makes it a new undo step
+function applyShareState(state, { withWeights = true, recordHistory = false } = {}) {
+    restoringUrl = true;
+    if (withWeights && state.weights) {
+        setStoredNoteWeights(state.weights, 'Note weights from a shared link (the MIDI file itself is not shared)');
+    }
+    lastAppliedScale = state.key ? { root: state.key.root, mode: state.key.mode } : null;
+    showAllScales = state.showAll;
+    keyboardMode = state.inputMode;
+    if (keyboardInputMode) keyboardInputMode.value = keyboardMode;
+    if (keyboardModeToggle && keyboardModeEnabled !== state.keyboard) {
+        keyboardModeToggle.checked = state.keyboard;
+        setKeyboardModeEnabled(state.keyboard);
+    }
+    piano.setSelectedPitchClasses(state.notes, { silent: true });
+    selectedPitchClasses = new Set(state.notes);
+    if (recordHistory) pushHistory(selectedPitchClasses);
+    restoringUrl = false;
+    updateOutputFromSelection();
 }
 
 function updateUndoRedoButtons() {
@@ -166,8 +375,9 @@ function applySelection(pcs, { silent = false, recordHistory = true } = {}) {
     const next = new Set((pcs || []).map(Number));
     piano.setSelectedPitchClasses([...next], { silent: true });
     selectedPitchClasses = next;
-    updateOutputFromSelection();
+    // History first, so the new browser entry (not the previous one) gets the new state
     if (recordHistory) pushHistory(next);
+    updateOutputFromSelection();
 }
 
 const piano = createVerticalPiano({
@@ -184,6 +394,92 @@ const piano = createVerticalPiano({
 // Init history with empty state
 pushHistory(new Set());
 
+const trackPanel = createTrackPanel({
+    mountEl: trackPanelMount,
+    onChange: (includedTracks) => {
+        applyIncludedTracks(includedTracks);
+    }
+});
+
+const keyTimeline = createKeyTimeline({
+    mountEl: keyTimelineMount,
+    onSelect: (index) => {
+        // Load one segment's notes (or the whole file again) into piano + candidates
+        const segment = index == null ? null : midiKeySegments?.[index];
+        const weights = segment ? segment.noteWeights : midiFileNoteWeights;
+        midiActiveRange = segment ? { start: segment.start, end: segment.end } : null;
+        if (weights) setMidiBaseline(weights);
+    }
+});
+
+const midiInput = createMidiInput({
+    onNoteOn: (midi, velocity) => {
+        if (midiInputEnabled) handlePlayedNoteOn(midi, velocity);
+    },
+    onNoteOff: () => {
+        if (midiInputEnabled) handlePlayedNoteOff();
+    },
+    onDevicesChange: (devices) => renderMidiDevices(devices)
+});
+
+const chordStrip = createChordStrip({
+    mountEl: chordStripMount,
+    onUnitChange: (unit) => {
+        chordUnit = unit;
+        midiChordSegments = computeChordSegments(getAnalysisEvents(trackPanel.getIncludedTracks()));
+        updateOutputFromSelection();
+    }
+});
+
+const chordPalette = createChordPalette({
+    mountEl: chordPaletteMount,
+    onSelect: (chord) => {
+        // Play the chord and mark its notes; the selection stays as it is
+        piano.setChordTones(chord ? chord.tones : []);
+        if (!chord) return;
+        piano.unlockAudioFromGesture();
+        piano.playChord(chord.midis);
+    }
+});
+
+const circleOfFifths = createCircleOfFifths({
+    mountEl: circleOfFifthsMount,
+    onSelect: applyKey
+});
+
+const staffView = createStaffView({
+    mountEl: staffViewMount,
+    onDownload: (svgText, filename) => downloadBytes(filename, svgText, 'image/svg+xml')
+});
+
+const noteLibrary = createNoteLibrary();
+const libraryPanel = createLibraryPanel({
+    mountEl: noteLibraryMount,
+    onSave: saveToLibrary,
+    onRestore: restoreLibraryEntry,
+    onRename: (id, name) => {
+        noteLibrary.update(id, { name })
+            .then(refreshLibrary)
+            .catch((err) => libraryPanel.setStatus(`Could not rename: ${err.message}`));
+    },
+    onDelete: (id) => {
+        const entry = libraryEntries.find(e => e.id === id);
+        if (!entry || !window.confirm(`Delete “${entry.name}” from the library?`)) return;
+        noteLibrary.remove(id)
+            .then(() => {
+                libraryPanel.setStatus(`Deleted “${entry.name}”.`);
+                return refreshLibrary();
+            })
+            .catch((err) => libraryPanel.setStatus(`Could not delete: ${err.message}`));
+    },
+    onExport: () => {
+        noteLibrary.exportJson()
+            .then((text) => downloadBytes('note-library.json', text, 'application/json'))
+            .catch((err) => libraryPanel.setStatus(`Could not export: ${err.message}`));
+    },
+    onImport: importLibraryFile
+});
+
 const hide = (el) => el.classList.add("hidden");
 const show = (el) => el.classList.remove("hidden");
 
@@ -225,11 +521,24 @@ function buildNoteWeightsForPitchClasses(pitchClassesSet) {
 }
 
 function updateTitle(best) {
+    titleKey = best || null;
+    updateExportButton();
+    updateTransposeControls();
+    updateSnapControls();
+    chordPalette.setKey(titleKey);
+    piano.setNoteNames(best ? keyNoteNames(best.root, best.name) : null);
+    if (lastAppliedScale) staffKey = lastAppliedScale;
+    staffView.setKey(staffKey, [...selectedPitchClasses]);
+    libraryPanel.setNamePlaceholder(best ? `Name (default: ${formatKeyLabel(best.root, best.name)})` : 'Name');
     if (!best) {
         scaleTitle.textContent = 'Auto Scale';
         return;
     }
-    scaleTitle.textContent = `${midiToNoteName(best.root)} ${best.name}`;
+    const spelled = spellKey(best.root, best.name);
+    const signature = spelled
+        ? ` <span class="key-signature" title="Key signature">${describeKeySignature(spelled.accidentals)}</span>`
+        : '';
+    scaleTitle.innerHTML = `${formatKeyLabel(best.root, best.name)}${signature}`;
 }
 
 function updateResetButtonState() {
@@ -248,7 +557,7 @@ function updateOutputFromSelection(pitchClassesOverride) {
         activePcs = new Set([...pitchClassesOverride].map(Number));
     } else if (Array.isArray(pitchClassesOverride)) {
         activePcs = new Set(pitchClassesOverride.map(Number));
-    } else if (keyboardModeEnabled && keyboardMode === 'live') {
+    } else if (isLiveInput()) {
         activePcs = getHeldPitchClasses();
     } else {
         activePcs = selectedPitchClasses;
@@ -260,28 +569,40 @@ function updateOutputFromSelection(pitchClassesOverride) {
         scaleOutput.innerHTML = `
             <div class="result-block">
                 <div class="possible-scales-header">Possible scales</div>
-                <p>Select one or more notes to see possible Major/Minor scales.</p>
+                <p>Select one or more notes to see possible scales.</p>
             </div>
         `;
-        if (keyboardModeEnabled) {
+        if (isPlayInputEnabled()) {
             selectionHint.textContent = (keyboardMode === 'live')
-                ? 'Keyboard mode (Live): hold notes; scales update instantly.'
-                : 'Keyboard mode (Record): play notes to add them; Clear to start over.';
+                ? `${getPlayInputLabel()} (Live): hold notes; scales update instantly.`
+                : `${getPlayInputLabel()} (Record): play notes to add them; Clear to start over.`;
         } else {
             selectionHint.textContent = midiBaselinePitchClasses
                 ? 'Select/deselect notes to refine the MIDI.'
                 : 'Upload MIDI or start selecting notes to find a key/scale.';
         }
         updateTitle(null);
+        circleOfFifths.clear();
         updateResetButtonState();
         updateUndoRedoButtons();
+        syncUrl();
         return;
     }
 
     const noteWeights = buildNoteWeightsForPitchClasses(activePcs);
     const showEmphasis = hasMidiEmphasisData();
-    const weightedMatches = findMatchingScalesWeighted(usedNotes, noteWeights);
-    const simpleMatches = findMatchingScalesSimple(usedNotes);
+    const families = getSearchFamilies();
+    const chordSegments = showEmphasis ? getActiveChordSegments() : [];
+    const declaredKeys = showEmphasis ? getActiveDeclaredKeys() : [];
+    // Same ranking as detectKey(): key prior and V-I cadence bonus included
+    const weightedMatches = rankKeys(usedNotes, noteWeights, {
+        algorithm: keyAlgorithm,
+        families,
+        declaredKeys,
+        chordSegments,
+        keyPrior: useKeyPrior ? DEFAULT_KEY_PRIOR : 0
+    });
+    const simpleMatches = findCandidateScales(usedNotes);
 
     const rankByKey = new Map(
         weightedMatches.map((m, idx) => [`${m.root}-${m.name}`, idx])
@@ -294,17 +615,18 @@ function updateOutputFromSelection(pitchClassesOverride) {
             fullCandidates.sort((a, b) => (rankByKey.get(`${a.root}-${a.name}`) ?? 999) - (rankByKey.get(`${b.root}-${b.name}`) ?? 999));
         } else {
             // No MIDI weighting available: keep ordering stable and neutral.
+            const scaleOrder = getScales().map(sc => sc.name);
             fullCandidates.sort((a, b) => {
                 if (a.root !== b.root) return a.root - b.root;
-                return String(a.name).localeCompare(String(b.name));
+                return scaleOrder.indexOf(a.name) - scaleOrder.indexOf(b.name);
             });
         }
     } else {
-        fullCandidates = weightedMatches.slice(0, 12).map(m => ({ root: m.root, name: m.name, rootName: midiToNoteName(m.root) }));
+        fullCandidates = weightedMatches.slice(0, 12).map(m => ({ root: m.root, name: m.name, rootName: spellKey(m.root, m.name).tonic }));
     }
 
     const totalCandidates = fullCandidates.length;
-    const isLive = keyboardModeEnabled && keyboardMode === 'live';
+    const isLive = isLiveInput();
     const isScrollEnabled = !!showAllScales;
 
     // Keep the full candidate list; the UI reserves a fixed area and hides overflow.
@@ -320,7 +642,7 @@ function updateOutputFromSelection(pitchClassesOverride) {
 
     let headerText;
     if (lastAppliedScale) {
-        const selectedLabel = `${midiToNoteName(lastAppliedScale.root)} ${lastAppliedScale.mode}`;
+        const selectedLabel = formatKeyLabel(lastAppliedScale.root, lastAppliedScale.mode);
         headerText = `Selected key: ${selectedLabel}`;
     } else {
         if (isLive) {
@@ -328,7 +650,7 @@ function updateOutputFromSelection(pitchClassesOverride) {
         } else {
             headerText = (simpleMatches.length > 0)
                 ? `Possible keys (contain all selected notes): (${candidates.length})`
-                : `Closest Major/Minor keys: (${candidates.length})`;
+                : `Closest keys: (${candidates.length})`;
         }
     }
 
@@ -346,19 +668,32 @@ function updateOutputFromSelection(pitchClassesOverride) {
         }
     );
     const whyHtml = (lastAppliedScale || !showEmphasis) ? '' : buildWhyDetails(best, noteWeights);
+    const droppedHtml = showEmphasis
+        ? buildDroppedDrumsNote(midiDroppedDrums) + buildFilteredNotesNote(midiFilteredNotes)
+        : '';
+    const declaredHtml = buildDeclaredKeySection(declaredKeys, best);
+    const confidenceHtml = (lastAppliedScale || !showEmphasis)
+        ? ''
+        : buildConfidenceSection(describeConfidence(weightedMatches, best), best);
+
+    // Without MIDI weights the candidate order is neutral, so there is no best guess to mark
+    circleOfFifths.setKeys(buildCircleKeys(weightedMatches, noteWeights), { best: showEmphasis ? best : null, applied: selectedKey });
 
     scaleOutput.innerHTML = `
         <div class="result-block">
             <div class="possible-scales-header">${headerText}</div>
+            ${confidenceHtml}
+            ${declaredHtml}
             ${scalesHtml}
             ${whyHtml}
+            ${droppedHtml}
         </div>
     `;
 
-    if (keyboardModeEnabled) {
+    if (isPlayInputEnabled()) {
         selectionHint.textContent = (keyboardMode === 'live')
-            ? 'Keyboard mode (Live): hold notes; release to change.'
-            : 'Keyboard mode (Record): play notes to add them; Clear to start over.';
+            ? `${getPlayInputLabel()} (Live): hold notes; release to change.`
+            : `${getPlayInputLabel()} (Record): play notes to add them; Clear to start over.`;
     } else {
         selectionHint.textContent = midiBaselinePitchClasses
             ? 'Select/deselect notes; scales update instantly.'
@@ -369,8 +704,83 @@ function updateOutputFromSelection(pitchClassesOverride) {
     } else {
         updateTitle(null);
     }
+    chordStrip.setKey(bestForTitle || null);
+    chordStrip.setSegments(chordSegments);
     updateResetButtonState();
     updateUndoRedoButtons();
+    syncUrl();
+}
+
+// Notes of `tracks` that pass the analysis filters
+function getAnalysisEvents(tracks) {
+    return filterNoteEvents(tracks.flatMap(t => t.events), midiHeader, noteFilters);
+}
+
+function computeChordSegments(events) {
+    if (!midiHeader) return null;
+    return analyzeChords(events, midiHeader, { unit: chordUnit });
+}
+
+// Chords of the whole file, or of the key segment picked in the timeline
+function getActiveChordSegments() {
+    if (!midiChordSegments) return [];
+    if (!midiActiveRange) return midiChordSegments;
+    return midiChordSegments.filter(seg => seg.end > midiActiveRange.start && seg.start < midiActiveRange.end);
+}
+
+// Key signature(s) of the whole file, or the one in effect in the selected segment
+function getActiveDeclaredKeys() {
+    if (!midiDeclaredKeys || midiDeclaredKeys.length === 0) return [];
+    if (!midiActiveRange) return midiDeclaredKeys;
+    const mid = (midiActiveRange.start + midiActiveRange.end) / 2;
+    return [{ ...declaredKeyAt(midiDeclaredKeys, mid), share: 1 }];
+}
+
+// Tag each detected segment with the declared key at its midpoint
+function withDeclaredKeys(segments) {
+    if (!segments || !midiDeclaredKeys || midiDeclaredKeys.length === 0) return segments;
+    return segments.map(seg => ({ ...seg, declared: declaredKeyAt(midiDeclaredKeys, (seg.start + seg.end) / 2) }));
+}
+
+// Use the given MIDI note weights as the baseline and select all its notes
+function setMidiBaseline(noteWeights) {
+    const usedNotes = [...noteWeights.keys()].sort((a, b) => a - b);
+
+    lastAppliedScale = null;
+    staffKey = null;
+    midiBaselineNoteWeights = noteWeights;
+    midiBaselinePitchClasses = new Set(usedNotes);
+    midiPctByPc = buildPctMap(noteWeights);
+
+    piano.setMidiPercentages(midiPctByPc);
+    piano.setSelectedPitchClasses(usedNotes, { silent: true });
+    selectedPitchClasses = new Set(usedNotes);
+
+    showAllScales = false;
+    updateOutputFromSelection();
+}
+
+// Rebuild the baseline from the tracks checked in the track panel
+function applyIncludedTracks(includedTracks) {
+    if (!midiTracks) return;
+    const included = midiTracks.filter(t => includedTracks.has(t.index));
+    const excludedDrums = midiTracks.filter(t => t.isPercussion && !includedTracks.has(t.index));
+
+    midiDroppedDrums = {
+        droppedNotes: excludedDrums.reduce((sum, t) => sum + t.noteCount, 0),
+        droppedTracks: excludedDrums.length
+    };
+    const filtered = getAnalysisEvents(included);
+    const total = included.reduce((sum, t) => sum + t.noteCount, 0);
+    midiFilteredNotes = { skipped: total - filtered.length, total };
+
+    const events = weighNoteEvents(filtered, midiHeader, noteWeighting);
+    midiFileNoteWeights = buildNoteWeightsFromEvents(events);
+    midiKeySegments = detectKeySegments(events, { params: { families: getSearchFamilies() } });
+    keyTimeline.setSegments(withDeclaredKeys(midiKeySegments));
+    midiActiveRange = null;
+    midiChordSegments = computeChordSegments(filtered);
+    setMidiBaseline(midiFileNoteWeights);
 }
 
 // Process a file (used by both drag-drop and file input)
@@ -393,20 +803,8 @@ function processFile(file) {
     const reader = new FileReader();
 
     reader.onload = () => {
-        const arrayBuffer = reader.result;
-        readMidi(arrayBuffer, (usedNotes, noteWeights, matches, tonic) => {
-            lastAppliedScale = null;
-            midiBaselineNoteWeights = noteWeights;
-            midiBaselinePitchClasses = new Set(usedNotes);
-            midiPctByPc = buildPctMap(noteWeights);
-
-            piano.setMidiPercentages(midiPctByPc);
-            piano.setSelectedPitchClasses(usedNotes, { silent: true });
-            selectedPitchClasses = new Set(usedNotes);
-
-            showAllScales = false;
-            updateOutputFromSelection();
-        });
+        midiFileName = file.name;
+        loadMidiBytes(reader.result);
     }
 
     reader.onerror = () => {
@@ -416,14 +814,52 @@ function processFile(file) {
     reader.readAsArrayBuffer(file);
 }
 
+// Analyze MIDI bytes as the current file (an upload or a transposed copy)
+function loadMidiBytes(bytes) {
+    midiFileBytes = bytes;
+    snapPlan = null;
+    renderSnapPreview();
+    return detectKey(bytes).then(({ tracks, header, declaredKeys }) => {
+        midiTracks = tracks;
+        midiHeader = header;
+        midiDeclaredKeys = declaredKeys;
+        renderFilterChannels(tracks);
+        const included = trackPanel.setTracks(tracks);
+        applyIncludedTracks(included);
+    }, () => {
+        midiFileBytes = null;
+        selectionHint.textContent = 'Could not read this MIDI file.';
+        updateTransposeControls();
+    });
+}
+
 resetAllBtn?.addEventListener('click', () => {
     // Full reset: forget the uploaded MIDI and return to a clean manual state.
     midiBaselineNoteWeights = null;
     midiBaselinePitchClasses = null;
     midiPctByPc = null;
+    midiDroppedDrums = null;
+    midiFilteredNotes = null;
+    midiTracks = null;
+    midiFileNoteWeights = null;
+    midiKeySegments = null;
+    midiHeader = null;
+    midiChordSegments = null;
+    midiActiveRange = null;
+    midiDeclaredKeys = null;
+    midiFileBytes = null;
+    midiFileName = null;
+    snapPlan = null;
+    renderSnapPreview();
     lastAppliedScale = null;
+    staffKey = null;
     showAllScales = false;
 
+    trackPanel.clear();
+    renderFilterChannels(null);
+    keyTimeline.clear();
+    chordStrip.clear();
+
     if (fileName) {
         fileName.textContent = '';
         hide(fileName);
@@ -447,6 +883,7 @@ resetAllBtn?.addEventListener('click', () => {
     suppressHistory = true;
     history = [];
     historyIndex = -1;
+    historyEpoch += 1;
     suppressHistory = false;
     pushHistory(new Set());
 
@@ -468,6 +905,11 @@ resetToMidiBtn.addEventListener('click', () => {
 
 undoBtn.addEventListener('click', () => {
     if (historyIndex <= 0) return;
+    if (isUrlInSync()) {
+        // The popstate handler below steps the stack
+        window.history.back();
+        return;
+    }
     suppressHistory = true;
     historyIndex -= 1;
     const state = history[historyIndex] || new Set();
@@ -478,6 +920,10 @@ undoBtn.addEventListener('click', () => {
 
 redoBtn.addEventListener('click', () => {
     if (historyIndex < 0 || historyIndex >= history.length - 1) return;
+    if (isUrlInSync()) {
+        window.history.forward();
+        return;
+    }
     suppressHistory = true;
     historyIndex += 1;
     const state = history[historyIndex] || new Set();
@@ -486,6 +932,147 @@ redoBtn.addEventListener('click', () => {
     updateUndoRedoButtons();
 });
 
+window.addEventListener('popstate', (e) => {
+    const shared = decodeShareState(window.location.hash)
+        || { notes: [], key: null, showAll: false, keyboard: keyboardModeEnabled, inputMode: keyboardMode, weights: null };
+    const entry = e.state;
+    if (entry && entry.epoch === historyEpoch && history[entry.historyIndex]) {
+        // Back/forward within this session: undo/redo to that step
+        historyIndex = entry.historyIndex;
+        applyShareState({ ...shared, notes: [...history[historyIndex]] }, { withWeights: false });
+        updateUndoRedoButtons();
+        return;
+    }
+    // An entry from before a reset, or a link pasted into this tab
+    applyShareState(shared, { recordHistory: true });
+});
+
+copyLinkBtn?.addEventListener('click', () => {
+    syncUrl();
+    const url = window.location.href;
+    const done = (ok) => {
+        copyLinkBtn.textContent = ok ? 'Link copied' : 'Copy failed';
+        setTimeout(() => { copyLinkBtn.textContent = 'Copy link'; }, 1500);
+    };
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+        navigator.clipboard.writeText(url).then(() => done(true), () => done(false));
+        return;
+    }
+    // Older browsers: copy from a temporary field
+    const field = document.createElement('textarea');
+    field.value = url;
+    document.body.appendChild(field);
+    field.select();
+    let ok = false;
+    try {
+        ok = document.execCommand('copy');
+    } catch {
+        ok = false;
+    }
+    field.remove();
+    done(ok);
+});
+
+function refreshLibrary() {
+    return noteLibrary.list()
+        .then((entries) => {
+            libraryEntries = entries;
+            libraryPanel.setEntries(entries);
+        })
+        .catch((err) => libraryPanel.setStatus(`Library unavailable: ${err.message}`));
+}
+
+// Save the selection with its MIDI weights (if any) and the applied key
+function saveToLibrary(name, tags) {
+    if (selectedPitchClasses.size === 0) {
+        libraryPanel.setStatus('Select some notes first.');
+        return;
+    }
+    const defaultName = titleKey
+        ? formatKeyLabel(titleKey.root, titleKey.name)
+        : [...selectedPitchClasses].sort((x, y) => x - y).map(pc => midiToNoteName(pc)).join(' ');
+    noteLibrary.save({
+        name: name || defaultName,
+        tags,
+        notes: [...selectedPitchClasses],
+        weights: hasMidiEmphasisData() ? [...midiBaselineNoteWeights] : null,
+        pcts: hasMidiEmphasisData() && midiPctByPc ? [...midiPctByPc] : null,
+        key: lastAppliedScale
+    })
+        .then((entry) => {
+            libraryPanel.clearSaveForm();
+            libraryPanel.setStatus(`Saved “${entry.name}”.`);
+            return refreshLibrary();
+        })
+        .catch((err) => libraryPanel.setStatus(`Could not save: ${err.message}`));
+}
+
+// Restore an entry as a new undo step
+function restoreLibraryEntry(id) {
+    const entry = libraryEntries.find(e => e.id === id);
+    if (!entry) return;
+    if (entry.weights) {
+        setStoredNoteWeights(entry.weights, `Note weights from the library entry “${entry.name}” (the MIDI file itself is not saved)`);
+        if (entry.pcts) {
+            midiPctByPc = new Map(entry.pcts);
+            piano.setMidiPercentages(midiPctByPc);
+        }
+    } else {
+        // Plain notes: don't rank them with weights from an earlier MIDI file
+        clearStoredNoteWeights();
+    }
+    lastAppliedScale = entry.key ? { root: entry.key.root, mode: entry.key.mode } : null;
+    showAllScales = false;
+    applySelection(entry.notes, { silent: true, recordHistory: true });
+    libraryPanel.setStatus(`Restored “${entry.name}”.`);
+}
+
+function importLibraryFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        noteLibrary.importJson(String(reader.result))
+            .then(({ added, replaced }) => {
+                const parts = [`${added} added`];
+                if (replaced > 0) parts.push(`${replaced} replaced`);
+                libraryPanel.setStatus(`Imported ${file.name}: ${parts.join(', ')}.`);
+                return refreshLibrary();
+            })
+            .catch((err) => libraryPanel.setStatus(`Could not import ${file.name}: ${err.message}`));
+    };
+    reader.onerror = () => {
+        libraryPanel.setStatus('Error reading file. Please try again.');
+    };
+    reader.readAsText(file);
+}
+
+// Select the notes of a key and make it the applied key (candidate list,
+// circle of fifths)
+function applyKey(root, mode) {
+    if (!Number.isFinite(root) || !mode) return;
+    const pcs = getScalePitchClasses(root, mode);
+    lastAppliedScale = { root, mode };
+    showAllScales = false;
+    applySelection(pcs, { silent: true, recordHistory: true });
+}
+
+// Major and Minor keys for the circle of fifths: ranking score (null when
+// their family is not searched) and match %
+function buildCircleKeys(weightedMatches, noteWeights) {
+    const scoreByKey = new Map((weightedMatches || []).map(m => [`${m.root}-${m.name}`, m.score]));
+    const keys = [];
+    for (const name of ['Major', 'Minor']) {
+        for (let root = 0; root < 12; root++) {
+            keys.push({
+                root,
+                name,
+                score: scoreByKey.get(`${root}-${name}`) ?? null,
+                inPct: computeScaleCoveragePct(root, name, noteWeights).inPct
+            });
+        }
+    }
+    return keys;
+}
+
 // Clickable scales: apply scale pitch-classes to selection
 scaleOutput.addEventListener('click', (e) => {
     const toggleBtn = e.target.closest('[data-action="toggle-show-all-scales"]');
@@ -497,14 +1084,7 @@ scaleOutput.addEventListener('click', (e) => {
 
     const btn = e.target.closest('[data-scale-root][data-scale-mode]');
     if (!btn) return;
-    const root = Number(btn.dataset.scaleRoot);
-    const mode = btn.dataset.scaleMode;
-    if (!Number.isFinite(root) || !mode) return;
-
-    const pcs = getScalePitchClasses(root, mode);
-    lastAppliedScale = { root, mode };
-    showAllScales = false;
-    applySelection(pcs, { silent: true, recordHistory: true });
+    applyKey(Number(btn.dataset.scaleRoot), btn.dataset.scaleMode);
 });
 
 // Right-click scale preview: do not overwrite selection
@@ -535,6 +1115,275 @@ scaleOutput.addEventListener('contextmenu', (e) => {
     }
 });
 
+// Checked contents the title key can have (no chords without seven degrees)
+function getExportContents() {
+    if (!exportContents) return ['scale'];
+    return [...exportContents.querySelectorAll('input[type="checkbox"]:checked:not(:disabled)')].map(i => i.value);
+}
+
+function updateExportButton() {
+    if (!exportMidiBtn) return;
+    const noChords = !!titleKey && !hasDiatonicChords(titleKey.name);
+    exportContents?.querySelectorAll('input[data-chords]').forEach((input) => {
+        input.disabled = noChords;
+    });
+    if (exportHint) {
+        exportHint.textContent = noChords
+            ? `${formatKeyLabel(titleKey.root, titleKey.name)} has no seven degrees; only the scale run can be exported.`
+            : '';
+        exportHint.classList.toggle('hidden', !noChords);
+    }
+    const hasContents = getExportContents().length > 0;
+    exportMidiBtn.disabled = !titleKey || !hasContents;
+    exportMidiBtn.textContent = titleKey
+        ? `Download ${formatKeyLabel(titleKey.root, titleKey.name)} (.mid)`
+        : 'Download .mid';
+}
+
+function downloadBytes(filename, bytes, type) {
+    const url = URL.createObjectURL(new Blob([bytes], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+if (exportContents) {
+    exportContents.innerHTML = EXPORT_CONTENTS.map((c) => `
+        <label class="family-option">
+            <input type="checkbox" value="${c.id}"${c.id === 'scale' ? ' checked' : ''}${c.chords ? ' data-chords' : ''} />
+            <span>${c.label}</span>
+        </label>
+    `).join('');
+    exportContents.addEventListener('change', updateExportButton);
+}
+
+exportMidiBtn?.addEventListener('click', () => {
+    if (!titleKey) return;
+    const contents = getExportContents();
+    const octaves = Math.min(4, Math.max(1, Number(exportOctaves?.value) || 1));
+    const midi = buildKeyMidi(titleKey.root, titleKey.name, { contents, octaves });
+    downloadBytes(keyMidiFilename(titleKey.root, titleKey.name, contents), midi.toArray(), 'audio/midi');
+});
+
+function getTransposeTarget() {
+    const root = Number(transposeRoot?.value);
+    const name = transposeMode?.value;
+    return Number.isFinite(root) && name ? { root, name } : null;
+}
+
+function transposeOptions() {
+    return { mapping: transposeMapping?.value || 'parallel', direction: transposeDirection?.value || 'nearest' };
+}
+
+// Source key = the key in the title; target modes depend on it
+function updateTransposeControls() {
+    if (!transposeBtn) return;
+    const source = midiFileBytes ? titleKey : null;
+    const modes = getTargetModes(source ? source.name : 'Major');
+    const current = transposeMode.value;
+    transposeMode.innerHTML = modes.map(m => `<option value="${m}">${m}</option>`).join('');
+    transposeMode.value = modes.includes(current) ? current : modes[0];
+    // Tonics as spelled in the chosen mode (Eb Major, D# Minor)
+    for (const option of transposeRoot.options) {
+        const pc = Number(option.value);
+        option.textContent = keyNoteNames(pc, transposeMode.value)[pc];
+    }
+
+    const target = getTransposeTarget();
+    const changesMode = !!(source && target && target.name !== source.name);
+    transposeMapping.closest('label').classList.toggle('hidden', !changesMode);
+    transposeBtn.disabled = !source || !target;
+
+    if (!source || !target) {
+        transposeHint.textContent = midiFileBytes
+            ? 'Pick a key (or wait for one to be detected) to transpose from.'
+            : 'Upload a MIDI file to transpose it.';
+        return;
+    }
+
+    const plan = planTranspose(source, target, transposeOptions());
+    const resultName = formatKeyLabel(plan.resultKey.root, plan.resultKey.name);
+    const steps = plan.semitones === 0 ? 'no shift' : `${plan.semitones > 0 ? '+' : '−'}${Math.abs(plan.semitones)} semitones`;
+    const modeNote = plan.degreeShift
+        ? (target.name === 'Minor' ? ', 3rd/6th/7th lowered' : ', 3rd/6th/7th raised')
+        : '';
+    transposeHint.textContent = `${formatKeyLabel(source.root, source.name)} → ${resultName} (${steps}${modeNote}). Drum tracks stay as they are.`;
+    transposeBtn.textContent = `Transpose to ${resultName} & download`;
+}
+
+// A key for filenames, spelled by its tonic: "Eb_Minor", "F#_Major-Pentatonic"
+function keyFilePart(key) {
+    const spelled = spellKey(key.root, key.name);
+    return `${spelled ? spelled.tonic : NOTE_NAMES[key.root]}_${key.name.replace(/\s+/g, '-')}`;
+}
+
+// e.g. "song_to_A_Minor.mid", "song_to_Eb_Major.mid"
+function transposedFilename(name, key) {
+    const base = (name || 'transposed').replace(/\.midi?$/i, '').replace(/_to_[^_]+_[^_]+$/, '');
+    return `${base}_to_${keyFilePart(key)}.mid`;
+}
+
+if (transposeRoot) {
+    // Labelled per target mode in updateTransposeControls()
+    transposeRoot.innerHTML = Array.from({ length: 12 }, (_, pc) => `<option value="${pc}"></option>`).join('');
+    transposeMapping.innerHTML = TRANSPOSE_MAPPINGS.map(m => `<option value="${m.id}">${m.label}</option>`).join('');
+    transposeDirection.innerHTML = TRANSPOSE_DIRECTIONS.map(d => `<option value="${d.id}">${d.label}</option>`).join('');
+    for (const el of [transposeRoot, transposeMode, transposeMapping, transposeDirection]) {
+        el.addEventListener('change', updateTransposeControls);
+    }
+    updateTransposeControls();
+}
+
+transposeBtn?.addEventListener('click', () => {
+    const source = titleKey;
+    const target = getTransposeTarget();
+    if (!midiFileBytes || !source || !target) return;
+
+    let result;
+    try {
+        result = transposeMidi(midiFileBytes, source, target, transposeOptions());
+    } catch (err) {
+        transposeHint.textContent = `Could not transpose this file: ${err.message}`;
+        return;
+    }
+    const { bytes, plan } = result;
+    const name = transposedFilename(midiFileName, plan.resultKey);
+    downloadBytes(name, bytes, 'audio/midi');
+
+    // Continue with the transposed file; a key the user picked moves with it
+    const wasApplied = !!lastAppliedScale;
+    midiFileName = name;
+    fileName.textContent = `Uploaded file: ${name} (transposed)`;
+    loadMidiBytes(bytes).then(() => {
+        if (!wasApplied || !midiTracks) return;
+        const { root, name: mode } = plan.resultKey;
+        lastAppliedScale = { root, mode };
+        applySelection(getScalePitchClasses(root, mode), { silent: true, recordHistory: true });
+    });
+});
+
+// Changes still ticked in the preview (track and note checkboxes)
+function getKeptSnapChanges() {
+    if (!snapPlan || !snapPreview) return [];
+    const skippedTracks = new Set([...snapPreview.querySelectorAll('input[data-snap-track]:not(:checked)')]
+        .map(i => Number(i.dataset.snapTrack)));
+    const skippedNotes = new Set([...snapPreview.querySelectorAll('input[data-snap-note]:not(:checked)')]
+        .map(i => i.dataset.snapNote));
+    return snapPlan.changes.filter(c => !skippedTracks.has(c.track) && !skippedNotes.has(c.id));
+}
+
+function updateSnapControls() {
+    if (!snapPreviewBtn) return;
+    const key = midiFileBytes ? titleKey : null;
+    snapPreviewBtn.disabled = !key;
+    snapPreviewBtn.textContent = key
+        ? `Preview snapping to ${formatKeyLabel(key.root, key.name)}`
+        : 'Preview changes';
+
+    const stale = !!(snapPlan && (!isSameKey(snapPlan.key, key) || snapPlan.direction !== snapDirection.value));
+    const kept = stale ? [] : getKeptSnapChanges();
+    snapDownloadBtn.disabled = kept.length === 0;
+    snapDownloadBtn.textContent = kept.length > 0
+        ? `Download corrected .mid (${kept.length} note${kept.length === 1 ? '' : 's'})`
+        : 'Download corrected .mid';
+
+    if (!midiFileBytes) {
+        snapHint.textContent = 'Upload a MIDI file to snap its notes to a key.';
+    } else if (!key) {
+        snapHint.textContent = 'Pick a key (or wait for one to be detected) to snap to.';
+    } else if (stale) {
+        snapHint.textContent = 'The key or rounding changed; preview again.';
+    } else if (snapPlan) {
+        const { changes, total } = snapPlan;
+        const pct = total > 0 ? Math.round((changes.length / total) * 100) : 0;
+        const keyName = formatKeyLabel(snapPlan.key.root, snapPlan.key.name);
+        snapHint.textContent = changes.length === 0
+            ? `Every note is already in ${keyName}.`
+            : `${changes.length} of ${total} notes (${pct}%) are outside ${keyName}. Untick what should stay.`;
+    } else {
+        snapHint.textContent = 'Preview which notes would move before downloading.';
+    }
+}
+
+function renderSnapPreview() {
+    if (!snapPreview) return;
+    if (!snapPlan || snapPlan.changes.length === 0) {
+        snapPreview.innerHTML = '';
+        updateSnapControls();
+        return;
+    }
+
+    const byTrack = new Map();
+    for (const c of snapPlan.changes) {
+        if (!byTrack.has(c.track)) byTrack.set(c.track, []);
+        byTrack.get(c.track).push(c);
+    }
+    snapPreview.innerHTML = [...byTrack.entries()].map(([track, changes]) => `
+        <fieldset class="snap-track">
+            <legend>
+                <label class="family-option">
+                    <input type="checkbox" data-snap-track="${track}" checked />
+                    <span>${escapeHtml(changes[0].trackName || `Track ${track + 1}`)} (${changes.length})</span>
+                </label>
+            </legend>
+            <ul class="snap-notes">
+                ${changes.map(c => `
+                    <li>
+                        <label class="family-option">
+                            <input type="checkbox" data-snap-note="${c.id}" checked />
+                            <span>${c.time.toFixed(2)}s: ${formatNoteName(c.fromName)} → ${formatNoteName(c.toName)}</span>
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
+        </fieldset>
+    `).join('');
+    updateSnapControls();
+}
+
+if (snapDirection) {
+    snapDirection.innerHTML = SNAP_DIRECTIONS.map(d => `<option value="${d.id}">${d.label}</option>`).join('');
+    snapDirection.addEventListener('change', updateSnapControls);
+}
+
+snapPreview?.addEventListener('change', (e) => {
+    const trackBox = e.target.closest('input[data-snap-track]');
+    if (trackBox) {
+        // An unticked track keeps all its notes
+        for (const box of trackBox.closest('.snap-track').querySelectorAll('input[data-snap-note]')) {
+            box.disabled = !trackBox.checked;
+        }
+    }
+    updateSnapControls();
+});
+
+snapPreviewBtn?.addEventListener('click', () => {
+    const key = titleKey;
+    if (!midiFileBytes || !key) return;
+    const direction = snapDirection.value || 'nearest';
+    try {
+        const { changes, total } = planSnap(midiFileBytes, key.root, key.name, { direction, tieWeights: midiFileNoteWeights });
+        snapPlan = { key: { root: key.root, name: key.name }, direction, changes, total };
+    } catch (err) {
+        snapPlan = null;
+        snapHint.textContent = `Could not read this MIDI file: ${err.message}`;
+        return;
+    }
+    renderSnapPreview();
+});
+
+snapDownloadBtn?.addEventListener('click', () => {
+    const kept = getKeptSnapChanges();
+    if (!midiFileBytes || !snapPlan || kept.length === 0) return;
+    const bytes = applySnap(midiFileBytes, kept);
+    const base = (midiFileName || 'snapped').replace(/\.midi?$/i, '');
+    downloadBytes(`${base}_snapped_${keyFilePart(snapPlan.key)}.mid`, bytes, 'audio/midi');
+});
+
 // Handle drag over
 dropzone.addEventListener("dragover", (event) => {
     event.preventDefault();
@@ -582,7 +1431,7 @@ function buildResultsLayout(usedNotes, noteWeights, weightedMatches) {
         </div>`;
     }
 
-    const simpleMatches = findMatchingScalesSimple(usedNotes);
+    const simpleMatches = findCandidateScales(usedNotes);
     const rankByKey = new Map(
         weightedMatches.map((m, idx) => [`${m.root}-${m.name}`, idx])
     );
@@ -591,17 +1440,17 @@ function buildResultsLayout(usedNotes, noteWeights, weightedMatches) {
         ? simpleMatches
             .slice()
             .sort((a, b) => (rankByKey.get(`${a.root}-${a.name}`) ?? 999) - (rankByKey.get(`${b.root}-${b.name}`) ?? 999))
-        : weightedMatches.slice(0, 12).map(m => ({ root: m.root, name: m.name, rootName: midiToNoteName(m.root) }));
+        : weightedMatches.slice(0, 12).map(m => ({ root: m.root, name: m.name, rootName: spellKey(m.root, m.name).tonic }));
 
     const best = candidates[0];
 
     const headerText = (simpleMatches.length > 0)
         ? `Possible scales (contain all detected notes): (${candidates.length})`
-        : `Closest Major/Minor matches: (${candidates.length})`;
+        : `Closest matches: (${candidates.length})`;
 
     const scalesHtml = buildPossibleScalesSection(candidates, best, noteWeights, weightedMatches);
     const whyHtml = buildWhyDetails(best, noteWeights);
-    const notesHtml = buildNotesFoundSection(usedNotes, noteWeights);
+    const notesHtml = buildNotesFoundSection(usedNotes, noteWeights, keyNoteNames(best.root, best.name));
 
     const hintHtml = buildHintText(simpleMatches.length, candidates, best, noteWeights);
 
@@ -643,20 +1492,6 @@ function buildHintText(simpleMatchCount, candidates, best, noteWeights) {
     return `<div class="hint-text">Many keys can contain the same notes. The one tagged “Best guess” uses which notes are emphasized in the MIDI/selection.${extra}</div>`;
 }
 
-function computeScaleCoveragePct(root, mode, noteWeights) {
-    const total = sumWeights(noteWeights);
-    if (total <= 0) return { inPct: 0, outPct: 0 };
-
-    const scaleNotes = getScalePitchClasses(root, mode);
-    let inTotal = 0;
-    for (const [pc, w] of noteWeights.entries()) {
-        if (scaleNotes.includes(pc)) inTotal += w;
-    }
-    const inPct = Math.round((inTotal / total) * 100);
-    const outPct = Math.max(0, 100 - inPct);
-    return { inPct, outPct };
-}
-
 function buildPossibleScalesSection(candidates, best, noteWeights, weightedMatches, options = {}) {
     const rankByKey = new Map(
         (weightedMatches || []).map((m, idx) => [`${m.root}-${m.name}`, idx])
@@ -688,18 +1523,16 @@ function buildPossibleScalesSection(candidates, best, noteWeights, weightedMatch
 
     const perfectCount = enriched.filter(m => m.inPct === 100).length;
 
-    const rel = (lastAppliedScale)
-        ? {
-            root: lastAppliedScale.mode === 'Major'
-                ? (lastAppliedScale.root + 9) % 12
-                : (lastAppliedScale.root + 3) % 12,
-            mode: lastAppliedScale.mode === 'Major' ? 'Minor' : 'Major'
-        }
-        : null;
+    // Other modes of the applied key's notes (relative Major/Minor, Dorian, ...)
+    const relatives = lastAppliedScale
+        ? getRelativeKeys(lastAppliedScale.root, lastAppliedScale.mode)
+        : [];
 
     const items = enriched.map(m => {
-        const label = `${midiToNoteName(m.root)} ${m.name}`;
-        const isRelative = !!(rel && m.root === rel.root && m.name === rel.mode);
+        const label = formatKeyLabel(m.root, m.name);
+        const spelled = spellKey(m.root, m.name);
+        const signature = spelled ? describeKeySignature(spelled.accidentals) : '';
+        const isRelative = relatives.some(r => isSameKey(r, m));
 
         if (!showEmphasis) {
             const metaText = m.isSelected ? 'Selected'
@@ -708,7 +1541,7 @@ function buildPossibleScalesSection(candidates, best, noteWeights, weightedMatch
 
             return `
                 <li class="scale-item scale-item--compact${m.isBest ? " best" : ""}">
-                    <button type="button" class="scale-item-btn scale-item-btn--compact" data-scale-root="${m.root}" data-scale-mode="${m.name}" aria-label="Select ${label}">
+                    <button type="button" class="scale-item-btn scale-item-btn--compact" data-scale-root="${m.root}" data-scale-mode="${m.name}" aria-label="Select ${label}"${signature ? ` title="Key signature: ${signature}"` : ''}>
                         <span class="scale-compact-name">${label}</span>
                         <span class="scale-compact-meta">${metaText}</span>
                     </button>
@@ -738,7 +1571,7 @@ function buildPossibleScalesSection(candidates, best, noteWeights, weightedMatch
                         <span class="scale-name">${label}</span>
                         ${tag}
                     </div>
-                    <div class="scale-meta">${meta}</div>
+                    <div class="scale-meta">${meta}${signature ? ` · ${signature}` : ''}</div>
                 </button>
             </li>
         `;
@@ -774,10 +1607,13 @@ function buildPossibleScalesSection(candidates, best, noteWeights, weightedMatch
 function buildWhyDetails(best, noteWeights) {
     if (!best || noteWeights.size === 0) return "";
 
-    const rootName = midiToNoteName(best.root);
-    const thirdInterval = best.name === "Major" ? 4 : 3;
-    const thirdName = midiToNoteName((best.root + thirdInterval) % 12);
-    const dominantName = midiToNoteName((best.root + 7) % 12);
+    const names = keyNoteNames(best.root, best.name);
+    const rootName = names[best.root];
+    const { characteristic = [] } = getModeCharacteristicNotes(best.root, best.name) || {};
+    // First characteristic note is the mode's third; the rest are mode-defining degrees.
+    const [thirdPc = (best.root + 4) % 12, ...modePcs] = characteristic;
+    const thirdName = names[thirdPc];
+    const dominantName = names[(best.root + 7) % 12];
 
     const reasons = [];
     const rootWeight = noteWeights.get(best.root) || 0;
@@ -790,7 +1626,6 @@ function buildWhyDetails(best, noteWeights) {
             reasons.push(`<strong>${rootName}</strong> is used a lot <span class="why-meaning">(can point to the home note)</span>`);
         }
 
-        const thirdPc = (best.root + thirdInterval) % 12;
         const thirdWeight = noteWeights.get(thirdPc) || 0;
         if (thirdWeight > maxWeight * 0.3) {
             reasons.push(`The <strong>${thirdName}</strong> (${best.name} 3rd) stands out <span class="why-meaning">(the 3rd helps decide Major vs Minor)</span>`);
@@ -798,6 +1633,12 @@ function buildWhyDetails(best, noteWeights) {
             reasons.push(`The <strong>${thirdName}</strong> (${best.name} 3rd) is present <span class="why-meaning">(the 3rd helps decide Major vs Minor)</span>`);
         }
 
+        for (const pc of modePcs) {
+            if ((noteWeights.get(pc) || 0) > 0) {
+                reasons.push(`The <strong>${names[pc]}</strong> is present <span class="why-meaning">(it sets ${best.name} apart from the other modes)</span>`);
+            }
+        }
+
         const domPc = (best.root + 7) % 12;
         const domWeight = noteWeights.get(domPc) || 0;
         if (domWeight > maxWeight * 0.5) {
@@ -823,7 +1664,74 @@ function buildWhyDetails(best, noteWeights) {
     `;
 }
 
-function buildNotesFoundSection(usedNotes, noteWeights) {
+function buildConfidenceSection(confidence, best) {
+    if (!confidence || !best) return '';
+
+    const pct = Math.round(confidence.probability * 100);
+    const bestLabel = formatKeyLabel(best.root, best.name);
+    let verdict = '';
+
+    if (confidence.ambiguous && confidence.runnerUp) {
+        const other = confidence.runnerUp;
+        const otherLabel = formatKeyLabel(other.root, other.name);
+        const isMajorMinorPair = confidence.relativePair
+            && [best.name, other.name].includes('Major')
+            && [best.name, other.name].includes('Minor');
+
+        const reason = isMajorMinorPair
+            ? 'they are relative major/minor keys: same notes, different home note'
+            : confidence.relativePair
+                ? 'they use the same notes, only the home note differs'
+                : 'the notes fit both about equally well';
+
+        verdict = `<div class="confidence-verdict">Ambiguous: ${bestLabel} or ${otherLabel} (${reason}).</div>`;
+    }
+
+    return `
+        <div class="confidence${confidence.ambiguous ? ' confidence--ambiguous' : ''}">
+            <div class="confidence-line">
+                <span>Confidence</span>
+                <span class="confidence-value">${pct}%${confidence.ambiguous ? ' · ambiguous' : ''}</span>
+            </div>
+            <div class="confidence-meter" role="meter" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${pct}" aria-label="Confidence in ${bestLabel}">
+                <span style="width:${pct}%"></span>
+            </div>
+            ${verdict}
+        </div>
+    `;
+}
+
+// The key(s) the file declares, flagged when they differ from the detected key
+function buildDeclaredKeySection(declaredKeys, best) {
+    if (!declaredKeys || declaredKeys.length === 0 || !best) return '';
+
+    const labels = declaredKeys.map(k => formatKeyLabel(k.root, k.name));
+    const mismatch = !declaredKeys.some(k => isSameKey(k, best));
+    const note = mismatch
+        ? ` · differs from the detected ${formatKeyLabel(best.root, best.name)}`
+        : ' · matches the detected key';
+
+    return `
+        <div class="declared-key${mismatch ? ' declared-key--mismatch' : ''}">
+            Key signature: <strong>${labels.join(', then ')}</strong>${note}
+        </div>
+    `;
+}
+
+function buildDroppedDrumsNote(dropped) {
+    if (!dropped || dropped.droppedNotes <= 0) return '';
+    const notes = `${dropped.droppedNotes} drum/percussion note${dropped.droppedNotes === 1 ? '' : 's'}`;
+    const tracks = `${dropped.droppedTracks} track${dropped.droppedTracks === 1 ? '' : 's'}`;
+    return `<div class="hint-text">Ignored ${notes} (${tracks}); drums don't belong to a key.</div>`;
+}
+
+function buildFilteredNotesNote(filtered) {
+    if (!filtered || filtered.skipped <= 0) return '';
+    return `<div class="hint-text">Analysis filters skipped ${filtered.skipped} of ${filtered.total} notes.</div>`;
+}
+
+// `names`: display names per pitch class (keyNoteNames() of the best guess)
+function buildNotesFoundSection(usedNotes, noteWeights, names) {
     const total = sumWeights(noteWeights);
     const safeTotal = total > 0 ? total : 1;
 
@@ -838,7 +1746,7 @@ function buildNotesFoundSection(usedNotes, noteWeights) {
         const pct = Math.round((weight / safeTotal) * 100);
         return `
             <div class="note-chip">
-                <div class="note-name">${midiToNoteName(pc)}</div>
+                <div class="note-name">${names[pc]}</div>
                 <div class="note-meta">${pct}%</div>
             </div>
         `;
@@ -852,6 +1760,171 @@ function buildNotesFoundSection(usedNotes, noteWeights) {
     `;
 }
 
+const FAMILY_LABELS = {
+    diatonic: 'Major/Minor & modes',
+    minor: 'Harmonic/melodic minor',
+    pentatonic: 'Pentatonic',
+    blues: 'Blues',
+    symmetric: 'Whole-tone & diminished'
+};
+
+function renderScaleFamilyFilter() {
+    if (!scaleFamilyFilter) return;
+    const legend = scaleFamilyFilter.querySelector('legend');
+    scaleFamilyFilter.innerHTML = '';
+    if (legend) scaleFamilyFilter.appendChild(legend);
+
+    for (const family of getScaleFamilies()) {
+        const label = document.createElement('label');
+        label.className = 'family-option';
+        label.innerHTML = `
+            <input type="checkbox" value="${family}"${enabledFamilies.has(family) ? ' checked' : ''} />
+            <span>${FAMILY_LABELS[family] || family}</span>
+        `;
+        scaleFamilyFilter.appendChild(label);
+    }
+    const hint = document.createElement('div');
+    hint.className = 'hint-text';
+    hint.textContent = 'Only the diatonic modes by default; tick more types to search them too.';
+    scaleFamilyFilter.appendChild(hint);
+}
+
+scaleFamilyFilter?.addEventListener('change', (e) => {
+    const input = e.target.closest('input[type="checkbox"]');
+    if (!input) return;
+    if (input.checked) {
+        enabledFamilies.add(input.value);
+    } else {
+        enabledFamilies.delete(input.value);
+    }
+    updateOutputFromSelection();
+});
+
+renderScaleFamilyFilter();
+
+function renderNoteWeighting() {
+    if (!noteWeightingFilter) return;
+    const legend = noteWeightingFilter.querySelector('legend');
+    noteWeightingFilter.innerHTML = '';
+    if (legend) noteWeightingFilter.appendChild(legend);
+
+    const base = document.createElement('label');
+    base.className = 'kb-select';
+    base.innerHTML = `
+        <select data-weighting="base" aria-label="Base note weight">
+            ${WEIGHTING_BASES.map(b => `<option value="${b.id}"${b.id === noteWeighting.base ? ' selected' : ''}>${b.label}</option>`).join('')}
+        </select>
+    `;
+    noteWeightingFilter.appendChild(base);
+
+    const options = [{ id: 'velocity', label: '× velocity' }, ...WEIGHTING_BOOSTS];
+    for (const option of options) {
+        const label = document.createElement('label');
+        label.className = 'family-option';
+        label.innerHTML = `
+            <input type="checkbox" data-weighting="${option.id}"${noteWeighting[option.id] ? ' checked' : ''} />
+            <span>${option.label}</span>
+        `;
+        noteWeightingFilter.appendChild(label);
+    }
+}
+
+noteWeightingFilter?.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-weighting]');
+    if (!input) return;
+    const id = input.dataset.weighting;
+    if (id === 'base') {
+        noteWeighting.base = input.value;
+    } else if (id === 'velocity') {
+        noteWeighting.velocity = input.checked;
+    } else {
+        const boost = WEIGHTING_BOOSTS.find(b => b.id === id);
+        noteWeighting[id] = input.checked ? boost.strength : 0;
+    }
+    // Re-weigh the loaded file; manual selections have no timing to weigh
+    if (midiTracks) applyIncludedTracks(new Set(trackPanel.getIncludedTracks().map(t => t.index)));
+});
+
+renderNoteWeighting();
+
+// Channel checkboxes for the channels used by the loaded file (all allowed at first)
+function renderFilterChannels(tracks) {
+    if (!filterChannels) return;
+    const channels = [...new Set((tracks || []).map(t => t.channel))]
+        .filter(Number.isInteger)
+        .sort((a, b) => a - b);
+    filterChannels.innerHTML = channels.length === 0 ? '' : `
+        <span class="kb-select-label">Channels</span>
+        ${channels.map(ch => `
+            <label class="family-option">
+                <input type="checkbox" data-filter-channel="${ch}" checked />
+                <span>${ch + 1}</span>
+            </label>
+        `).join('')}
+    `;
+    noteFilters = readNoteFilters();
+}
+
+function readNumberInput(name) {
+    const input = analysisFilters?.querySelector(`[data-filter="${name}"]`);
+    if (!input || input.value.trim() === '') return null;
+    const value = Number(input.value);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Current panel values as noteFilters.js filters (empty fields = no limit)
+function readNoteFilters() {
+    if (!analysisFilters) return { ...DEFAULT_NOTE_FILTERS };
+
+    const channelInputs = [...analysisFilters.querySelectorAll('[data-filter-channel]')];
+    const allowed = channelInputs.filter(i => i.checked).map(i => Number(i.dataset.filterChannel));
+    const minVelocity = readNumberInput('minVelocity');
+    const start = readNumberInput('timeStart');
+    const end = readNumberInput('timeEnd');
+
+    return {
+        minDuration: Math.max(0, readNumberInput('minDuration') ?? 0),
+        minVelocity: Math.max(0, (minVelocity ?? 0) / 127),
+        minPitch: readNumberInput('minPitch') ?? DEFAULT_NOTE_FILTERS.minPitch,
+        maxPitch: readNumberInput('maxPitch') ?? DEFAULT_NOTE_FILTERS.maxPitch,
+        channels: allowed.length < channelInputs.length ? allowed : null,
+        timeRange: (start == null && end == null) ? null : {
+            start,
+            end,
+            unit: analysisFilters.querySelector('[data-filter="timeUnit"]')?.value || 'seconds'
+        }
+    };
+}
+
+function applyNoteFilters() {
+    noteFilters = readNoteFilters();
+    if (midiTracks) applyIncludedTracks(new Set(trackPanel.getIncludedTracks().map(t => t.index)));
+}
+
+// 'input' also fires for checkboxes and selects, so one listener covers the panel
+analysisFilters?.addEventListener('input', applyNoteFilters);
+
+resetFiltersBtn?.addEventListener('click', () => {
+    analysisFilters.querySelectorAll('input[data-filter]').forEach(input => { input.value = ''; });
+    analysisFilters.querySelectorAll('[data-filter-channel]').forEach(input => { input.checked = true; });
+    applyNoteFilters();
+});
+
+if (algorithmSelect) {
+    algorithmSelect.innerHTML = KEY_ALGORITHMS
+        .map((a) => `<option value="${a.id}"${a.id === keyAlgorithm ? ' selected' : ''}>${a.label}</option>`)
+        .join('');
+    algorithmSelect.addEventListener('change', () => {
+        keyAlgorithm = algorithmSelect.value || 'weighted';
+        updateOutputFromSelection();
+    });
+}
+
+keyPriorToggle?.addEventListener('change', () => {
+    useKeyPrior = !!keyPriorToggle.checked;
+    updateOutputFromSelection();
+});
+
 // Initialize UI on first load (manual mode)
 updateOutputFromSelection();
 
@@ -859,6 +1932,7 @@ function cleanupTransientInputState() {
     // BFCache/tab restore can skip keyup events and keep JS state alive.
     // Reset transient held/pressed state and stop any queued previews/audio.
     heldKeyboardCodes.clear();
+    midiInput.releaseAll();
     if (piano && typeof piano.setPressedPitchClasses === 'function') {
         piano.setPressedPitchClasses([]);
     }
@@ -867,7 +1941,7 @@ function cleanupTransientInputState() {
     } else if (piano && typeof piano.cancelPreviews === 'function') {
         piano.cancelPreviews();
     }
-    if (keyboardModeEnabled && keyboardMode === 'live') {
+    if (isLiveInput()) {
         updateOutputFromSelection();
     }
 }
@@ -882,7 +1956,7 @@ document.addEventListener('visibilitychange', () => {
 
 function setKeyboardModeEnabled(nextEnabled) {
     keyboardModeEnabled = !!nextEnabled;
-    if (keyboardInputMode) keyboardInputMode.disabled = !keyboardModeEnabled;
+    if (keyboardInputMode) keyboardInputMode.disabled = !isPlayInputEnabled();
 
     // Do not force showAllScales off here; it's a page-wide preference.
 
@@ -918,6 +1992,100 @@ if (keyboardInputMode) {
     });
 }
 
+// Note-on from the computer keyboard or a MIDI keyboard (already added to the held set)
+function handlePlayedNoteOn(midi, velocity) {
+    syncPressedFromKeyboard();
+
+    lastAppliedScale = null;
+    if (piano && typeof piano.playMidiNote === 'function') {
+        piano.playMidiNote(midi, velocity);
+    }
+
+    const pc = ((midi % 12) + 12) % 12;
+    if (keyboardMode === 'record') {
+        if (!selectedPitchClasses.has(pc)) {
+            const next = new Set(selectedPitchClasses);
+            next.add(pc);
+            applySelection([...next], { silent: true, recordHistory: true });
+        }
+    } else {
+        updateOutputFromSelection(getHeldPitchClasses());
+    }
+}
+
+function handlePlayedNoteOff() {
+    syncPressedFromKeyboard();
+
+    if (keyboardMode === 'live') {
+        updateOutputFromSelection(getHeldPitchClasses());
+    }
+}
+
+function renderMidiDevices(devices) {
+    if (!midiDeviceSelect) return;
+    const current = midiDeviceSelect.value;
+    // Device names come from hardware; build options without innerHTML
+    midiDeviceSelect.replaceChildren(
+        new Option(`All devices (${devices.length})`, ''),
+        ...devices.map((d) => {
+            const label = d.manufacturer && !d.name.includes(d.manufacturer) ? `${d.name} (${d.manufacturer})` : d.name;
+            return new Option(label, d.id);
+        })
+    );
+    // Keep the chosen device if it is still plugged in; otherwise fall back to all
+    const stillThere = devices.some((d) => d.id === current);
+    midiDeviceSelect.value = stillThere ? current : '';
+    if (!stillThere && current) midiInput.setDevice(null);
+}
+
+function setMidiInputEnabled(nextEnabled) {
+    midiInputEnabled = !!nextEnabled;
+    if (midiInputToggle) midiInputToggle.checked = midiInputEnabled;
+    if (midiDeviceSelect) midiDeviceSelect.disabled = !midiInputEnabled;
+    if (midiChannelSelect) midiChannelSelect.disabled = !midiInputEnabled;
+    if (keyboardInputMode) keyboardInputMode.disabled = !isPlayInputEnabled();
+
+    if (!midiInputEnabled) midiInput.releaseAll();
+    syncPressedFromKeyboard();
+    updateOutputFromSelection();
+}
+
+if (midiChannelSelect) {
+    midiChannelSelect.innerHTML = '<option value="">All</option>'
+        + Array.from({ length: 16 }, (_, i) => `<option value="${i}">${i + 1}</option>`).join('');
+    midiChannelSelect.addEventListener('change', () => {
+        midiInput.setChannel(midiChannelSelect.value);
+    });
+}
+
+if (midiDeviceSelect) {
+    midiDeviceSelect.addEventListener('change', () => {
+        midiInput.setDevice(midiDeviceSelect.value);
+    });
+}
+
+if (midiInputToggle) {
+    if (!isMidiInputSupported()) {
+        midiInputToggle.disabled = true;
+        midiInputToggle.closest('label')?.setAttribute('title', 'Web MIDI is not supported in this browser.');
+    }
+    midiInputToggle.addEventListener('change', () => {
+        if (!midiInputToggle.checked) {
+            setMidiInputEnabled(false);
+            return;
+        }
+        if (piano && typeof piano.unlockAudioFromGesture === 'function') {
+            piano.unlockAudioFromGesture();
+        }
+        midiInput.connect()
+            .then(() => setMidiInputEnabled(true))
+            .catch((err) => {
+                setMidiInputEnabled(false);
+                selectionHint.textContent = `MIDI input unavailable: ${err && err.message ? err.message : 'access denied'}`;
+            });
+    });
+}
+
 window.addEventListener('blur', () => {
     if (!keyboardModeEnabled) return;
     heldKeyboardCodes.clear();
@@ -940,26 +2108,10 @@ window.addEventListener('keydown', (e) => {
     e.preventDefault();
 
     heldKeyboardCodes.add(e.code);
-    syncPressedFromKeyboard();
-
-    lastAppliedScale = null;
     if (piano && typeof piano.unlockAudioFromGesture === 'function') {
         piano.unlockAudioFromGesture();
     }
-    if (piano && typeof piano.playMidiNote === 'function') {
-        piano.playMidiNote(midi, 0.95);
-    }
-
-    const pc = ((midi % 12) + 12) % 12;
-    if (keyboardMode === 'record') {
-        if (!selectedPitchClasses.has(pc)) {
-            const next = new Set(selectedPitchClasses);
-            next.add(pc);
-            applySelection([...next], { silent: true, recordHistory: true });
-        }
-    } else {
-        updateOutputFromSelection(getHeldPitchClasses());
-    }
+    handlePlayedNoteOn(midi, 0.95);
 });
 
 window.addEventListener('keyup', (e) => {
@@ -972,9 +2124,18 @@ window.addEventListener('keyup', (e) => {
     e.preventDefault();
 
     heldKeyboardCodes.delete(e.code);
-    syncPressedFromKeyboard();
-
-    if (keyboardMode === 'live') {
-        updateOutputFromSelection(getHeldPitchClasses());
-    }
+    handlePlayedNoteOff();
 });
+
+refreshLibrary();
+
+// Restore a shared link (see shareState.js), then keep the URL in step
+const sharedState = decodeShareState(window.location.hash);
+restoringUrl = false;
+if (sharedState) {
+    history = [new Set(sharedState.notes)];
+    historyIndex = 0;
+    applyShareState(sharedState);
+} else {
+    syncUrl();
+}
@@ -0,0 +1,74 @@
+import { getScale } from "./scaleDetector.js";
+
+export {
+    encodeShareState,
+    decodeShareState
+};
+
+// Page state <-> URL hash, for links that restore a note set.
+// state: { notes: number[], key: { root, mode } | null, showAll: boolean,
+//          keyboard: boolean, inputMode: "record" | "live",
+//          weights: Map<pc, pct> | null }
+// e.g. "n=047b&k=9:Minor&all=1&kb=1&in=live&w=0:31.2,4:20,7:25.1,11:23.7"
+// Pitch classes are single hex digits; weights are percentages of the total
+// (MIDI uploads share their note weights, never the file).
+
+function parsePc(text) {
+    const pc = parseInt(text, 16);
+    return /^[0-9a-b]$/i.test(text) && pc >= 0 && pc < 12 ? pc : null;
+}
+
+function encodeShareState(state) {
+    const parts = [];
+    const notes = [...new Set(state.notes || [])].sort((a, b) => a - b);
+    if (notes.length > 0) parts.push(`n=${notes.map(pc => pc.toString(16)).join("")}`);
+    if (state.key) parts.push(`k=${state.key.root}:${encodeURIComponent(state.key.mode)}`);
+    if (state.showAll) parts.push("all=1");
+    if (state.keyboard) parts.push("kb=1");
+    if (state.inputMode === "live") parts.push("in=live");
+
+    if (state.weights && state.weights.size > 0) {
+        let total = 0;
+        for (const w of state.weights.values()) total += w;
+        const pairs = [...state.weights.entries()]
+            .filter(([, w]) => w > 0)
+            .sort((a, b) => a[0] - b[0])
+            .map(([pc, w]) => `${pc.toString(16)}:${Math.round((w / total) * 1000) / 10}`);
+        if (pairs.length > 0 && total > 0) parts.push(`w=${pairs.join(",")}`);
+    }
+    return parts.join("&");
+}
+
+// Parsed state, or null when the hash holds none. Unknown scales, bad pitch
+// classes and bad weights are dropped rather than failing the whole link.
+function decodeShareState(hash) {
+    const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+    if (![...params.keys()].some(k => ["n", "k", "all", "kb", "in", "w"].includes(k))) return null;
+
+    const notes = [...(params.get("n") || "")].map(parsePc).filter(pc => pc !== null);
+
+    let key = null;
+    const keyMatch = /^(\d{1,2}):(.+)$/.exec(params.get("k") || "");
+    if (keyMatch && Number(keyMatch[1]) < 12 && getScale(keyMatch[2])) {
+        key = { root: Number(keyMatch[1]), mode: keyMatch[2] };
+    }
+
+    let weights = null;
+    for (const pair of (params.get("w") || "").split(",")) {
+        const [pcText, valueText] = pair.split(":");
+        const pc = parsePc(pcText || "");
+        const value = Number(valueText);
+        if (pc === null || !Number.isFinite(value) || value <= 0) continue;
+        weights = weights || new Map();
+        weights.set(pc, value);
+    }
+
+    return {
+        notes: [...new Set(notes)].sort((a, b) => a - b),
+        key,
+        showAll: params.get("all") === "1",
+        keyboard: params.get("kb") === "1",
+        inputMode: params.get("in") === "live" ? "live" : "record",
+        weights
+    };
+}
@@ -0,0 +1,101 @@
+import { getScalePitchClasses, isPercussionTrack } from "./scaleDetector.js";
+import { fixKeySignatureBytes } from "./transpose.js";
+import { NOTE_NAMES, spellKey } from "./noteSpelling.js";
+
+export {
+    SNAP_DIRECTIONS,
+    snapPitch,
+    planSnap,
+    applySnap
+};
+
+// "Snap to key": move notes outside a scale to the nearest scale tone.
+// planSnap() lists the changes for a preview; applySnap() writes the ones
+// that were kept. Drum tracks are never touched.
+
+const SNAP_DIRECTIONS = [
+    { id: "nearest", label: "Nearest" },
+    { id: "up", label: "Up" },
+    { id: "down", label: "Down" }
+];
+
+// "Eb4" with `names` (plain text per pitch class, e.g. spellKey(...).names);
+// the octave follows the letter, so B#3 and Cb4 sound as C4 and B3
+function noteLabel(midi, names) {
+    const name = names[midi % 12];
+    let octave = Math.floor(midi / 12) - 1;
+    if (name[0] === "B" && midi % 12 < 2) octave--;
+    if (name[0] === "C" && midi % 12 > 9) octave++;
+    return `${name}${octave}`;
+}
+
+// Closest MIDI note whose pitch class is in `pcs` (Set), or `midi` itself
+// when it already is. "nearest" breaks ties towards the pitch class with
+// more weight in `tieWeights` (Map<pc, weight>), else downwards.
+function snapPitch(midi, pcs, direction = "nearest", tieWeights = null) {
+    if (pcs.size === 0 || pcs.has(midi % 12)) return midi;
+
+    let up = midi;
+    while (!pcs.has(up % 12)) up++;
+    let down = midi;
+    while (!pcs.has(((down % 12) + 12) % 12)) down--;
+    if (up > 127) up = down;
+    if (down < 0) down = up;
+
+    if (direction === "up") return up;
+    if (direction === "down") return down;
+    if (up - midi !== midi - down) return up - midi < midi - down ? up : down;
+    const weightOf = (n) => tieWeights?.get(n % 12) ?? 0;
+    return weightOf(up) > weightOf(down) ? up : down;
+}
+
+// Out-of-scale notes of a MIDI file and where they would go:
+// { changes: [{ id, track, trackName, index, time, from, to, fromName, toName }], total }
+// (`id` = "track:index", stable for the same bytes; `total` = pitched notes;
+// names are spelled in the key, e.g. "Db4" -> "Eb4" in Eb Major)
+function planSnap(bytes, root, mode, { direction = "nearest", tieWeights = null, Midi: MidiClass = globalThis.Midi } = {}) {
+    if (typeof MidiClass !== "function") {
+        throw new Error("planSnap: no MIDI parser; pass { Midi } or load Midi.js first");
+    }
+    const midi = new MidiClass(bytes);
+    const pcs = new Set(getScalePitchClasses(root, mode));
+    const names = spellKey(root, mode)?.names ?? NOTE_NAMES;
+    const changes = [];
+    let total = 0;
+
+    midi.tracks.forEach((track, trackIndex) => {
+        if (isPercussionTrack(track)) return;
+        total += track.notes.length;
+        track.notes.forEach((note, index) => {
+            const to = snapPitch(note.midi, pcs, direction, tieWeights);
+            if (to === note.midi) return;
+            changes.push({
+                id: `${trackIndex}:${index}`,
+                track: trackIndex,
+                trackName: track.name || "",
+                index,
+                time: note.time,
+                from: note.midi,
+                to,
+                fromName: noteLabel(note.midi, names),
+                toName: noteLabel(to, names)
+            });
+        });
+    });
+    return { changes, total };
+}
+
+// Corrected copy of the file (bytes in, bytes out) with `changes` from
+// planSnap() applied; leave out the ones the user excluded.
+function applySnap(bytes, changes, { Midi: MidiClass = globalThis.Midi } = {}) {
+    if (typeof MidiClass !== "function") {
+        throw new Error("applySnap: no MIDI parser; pass { Midi } or load Midi.js first");
+    }
+    const midi = new MidiClass(bytes);
+    for (const change of changes) {
+        const note = midi.tracks[change.track]?.notes[change.index];
+        // Guard against a plan made for other bytes
+        if (note && note.midi === change.from) note.midi = change.to;
+    }
+    return fixKeySignatureBytes(midi.toArray());
+}
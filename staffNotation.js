@@ -0,0 +1,210 @@
+import { getScale } from "./scaleRegistry.js";
+import { spellKey, formatNoteName } from "./noteSpelling.js";
+
+export {
+    STAFF_CLEFS,
+    buildStaffSvg,
+    staffSvgFilename
+};
+
+// A key on a five-line staff as a standalone SVG string: clef, key signature,
+// the ascending scale (tonic to octave) and, after a bar line, any `extraPcs`
+// outside the scale with their accidentals. Every glyph is a path, so the SVG
+// needs no music font and renders the same offline or exported.
+
+const STAFF_CLEFS = [
+    { id: "treble", label: "Treble" },
+    { id: "bass", label: "Bass" }
+];
+
+const LETTERS = "CDEFGAB";
+const LINE_GAP = 10;
+const STAFF_TOP = 30; // y of the top line
+const STAFF_BOTTOM = STAFF_TOP + 4 * LINE_GAP;
+const HEIGHT = STAFF_BOTTOM + 40;
+const INK = "#1a1a1a";
+const OUTSIDE_INK = "#c0392b";
+
+// Diatonic steps (octave * 7 + letter) of the bottom line, and the octave
+// the scale starts in, per clef
+const CLEF_LAYOUT = {
+    treble: { bottomStep: 4 * 7 + 2, octave: () => 4 }, // E4; C4 up to B5
+    bass: { bottomStep: 2 * 7 + 4, octave: (letter) => (letter <= 2 ? 3 : 2) } // G2; F2 up to E4
+};
+
+// Key signature order and treble-clef steps (the bass clef is two octaves lower)
+const SHARP_ORDER = [
+    { letter: 3, step: 38 }, { letter: 0, step: 35 }, { letter: 4, step: 39 }, { letter: 1, step: 36 },
+    { letter: 5, step: 33 }, { letter: 2, step: 37 }, { letter: 6, step: 34 }
+];
+const FLAT_ORDER = [
+    { letter: 6, step: 34 }, { letter: 2, step: 37 }, { letter: 5, step: 33 }, { letter: 1, step: 36 },
+    { letter: 4, step: 32 }, { letter: 0, step: 35 }, { letter: 3, step: 31 }
+];
+
+function stepY(step, clef) {
+    return STAFF_BOTTOM - (step - CLEF_LAYOUT[clef].bottomStep) * (LINE_GAP / 2);
+}
+
+// "F#" -> { letter: 3, alter: 1 }
+function parseName(name) {
+    const letter = LETTERS.indexOf(name[0]);
+    const alter = [...name.slice(1)].reduce((sum, ch) => sum + (ch === "#" ? 1 : ch === "b" ? -1 : 0), 0);
+    return { letter, alter };
+}
+
+function clefPath(clef) {
+    if (clef === "bass") {
+        // F clef: the curl starts on the F line (second from the top)
+        const y = STAFF_TOP + LINE_GAP;
+        return `
+            <circle cx="15" cy="${y}" r="3.2" fill="${INK}" />
+            <path d="M 12 ${y} C 12 ${y - 10}, 30 ${y - 12}, 31 ${y} C 32 ${y + 13}, 22 ${y + 23}, 11 ${y + 29}"
+                  fill="none" stroke="${INK}" stroke-width="2.4" stroke-linecap="round" />
+            <circle cx="37" cy="${y - 5}" r="1.8" fill="${INK}" />
+            <circle cx="37" cy="${y + 5}" r="1.8" fill="${INK}" />`;
+    }
+    // G clef: the spiral centres on the G line (second from the bottom)
+    const y = STAFF_BOTTOM - LINE_GAP;
+    return `
+        <path d="M 23 ${y + 2} C 18 ${y + 2}, 17 ${y - 6}, 23 ${y - 7} C 31 ${y - 8}, 32 ${y + 5}, 23 ${y + 7}
+                 C 13 ${y + 8}, 11 ${y - 4}, 17 ${y - 12} C 22 ${y - 19}, 30 ${y - 28}, 28 ${y - 37}
+                 C 27 ${y - 43}, 22 ${y - 41}, 21 ${y - 34} L 25 ${y + 18} C 26 ${y + 24}, 20 ${y + 25}, 18 ${y + 20}"
+              fill="none" stroke="${INK}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />
+        <circle cx="19.5" cy="${y + 19}" r="2.6" fill="${INK}" />`;
+}
+
+// Accidental glyph centred on (x, y); alter: -2..2, 0 = natural sign
+function accidentalPath(alter, x, y, color) {
+    const stroke = `fill="none" stroke="${color}" stroke-linecap="round"`;
+    if (alter === 1) {
+        return `<path d="M ${x - 2} ${y - 9} L ${x - 2} ${y + 9} M ${x + 2} ${y - 10} L ${x + 2} ${y + 8}" ${stroke} stroke-width="1.2" />
+            <path d="M ${x - 5} ${y - 2} L ${x + 5} ${y - 4} M ${x - 5} ${y + 4} L ${x + 5} ${y + 2}" ${stroke} stroke-width="2.2" />`;
+    }
+    if (alter === 2) {
+        return `<path d="M ${x - 4} ${y - 4} L ${x + 4} ${y + 4} M ${x - 4} ${y + 4} L ${x + 4} ${y - 4}" ${stroke} stroke-width="2" />`;
+    }
+    if (alter === -1) {
+        return `<path d="M ${x - 3} ${y - 13} L ${x - 3} ${y + 4} C ${x + 6} ${y - 1}, ${x + 5} ${y - 8}, ${x - 3} ${y - 2}" ${stroke} stroke-width="1.5" />`;
+    }
+    if (alter === -2) {
+        return `${accidentalPath(-1, x - 3, y, color)}${accidentalPath(-1, x + 3, y, color)}`;
+    }
+    return `<path d="M ${x - 3} ${y - 10} L ${x - 3} ${y + 4} L ${x + 3} ${y + 2} M ${x + 3} ${y + 10} L ${x + 3} ${y - 4} L ${x - 3} ${y - 2}" ${stroke} stroke-width="1.4" />`;
+}
+
+// Whole note with the ledger lines it needs
+function notePath(x, step, clef, color) {
+    const y = stepY(step, clef);
+    const pos = step - CLEF_LAYOUT[clef].bottomStep;
+    const ledgers = [];
+    for (let p = -2; p >= pos; p -= 2) ledgers.push(p);
+    for (let p = 10; p <= pos; p += 2) ledgers.push(p);
+    const ledgerPaths = ledgers.map((p) => {
+        const ly = STAFF_BOTTOM - p * (LINE_GAP / 2);
+        return `<path d="M ${x - 9} ${ly} L ${x + 9} ${ly}" stroke="${INK}" stroke-width="1" />`;
+    }).join("");
+    return `${ledgerPaths}
+        <ellipse cx="${x}" cy="${y}" rx="6" ry="4.3" fill="${color}" />
+        <ellipse cx="${x}" cy="${y}" rx="3" ry="2.4" transform="rotate(-35 ${x} ${y})" fill="#fff" />`;
+}
+
+// Lay out notes ({ letter, alter, step, color }) from `x`; accidentals hold
+// until the end of the bar, as on paper. Returns { svg, x }.
+function layoutBar(notes, x, clef, signature) {
+    const current = new Map(); // step -> alter shown so far in this bar
+    let svg = "";
+    for (const note of notes) {
+        const expected = current.has(note.step) ? current.get(note.step) : (signature.get(note.letter) || 0);
+        if (note.alter !== expected) {
+            svg += accidentalPath(note.alter, x, stepY(note.step, clef), note.color);
+            x += note.alter === -2 ? 14 : 11;
+            current.set(note.step, note.alter);
+        }
+        svg += notePath(x + 4, note.step, clef, note.color);
+        x += 28;
+    }
+    return { svg, x };
+}
+
+// SVG markup for a key (root pitch class + registered scale name), or "" for
+// an unknown scale. `clef`: "treble" | "bass".
+function buildStaffSvg(root, mode, { clef = "treble", extraPcs = [] } = {}) {
+    const scale = getScale(mode);
+    const spelled = spellKey(root, mode);
+    if (!scale || !spelled) return "";
+    if (!CLEF_LAYOUT[clef]) clef = "treble";
+
+    // Key signature: letters it alters, and where the signs go
+    const signature = new Map();
+    const order = spelled.accidentals > 0 ? SHARP_ORDER : FLAT_ORDER;
+    const sign = spelled.accidentals > 0 ? 1 : -1;
+    const signs = order.slice(0, Math.abs(spelled.accidentals));
+    signs.forEach(({ letter }) => signature.set(letter, sign));
+    const clefShift = clef === "bass" ? -14 : 0;
+
+    let x = 48;
+    let body = "";
+    for (const { step } of signs) {
+        body += accidentalPath(sign, x, stepY(step + clefShift, clef), INK);
+        x += 10;
+    }
+    x += 12;
+
+    // The scale, tonic to octave
+    const tonic = parseName(spelled.tonic);
+    const tonicStep = CLEF_LAYOUT[clef].octave(tonic.letter) * 7 + tonic.letter;
+    const scaleNotes = spelled.scale.map((name) => {
+        const { letter, alter } = parseName(name);
+        return { letter, alter, step: tonicStep + ((letter - tonic.letter + 7) % 7), color: INK };
+    });
+    scaleNotes.push({ ...scaleNotes[0], step: tonicStep + 7 });
+    const scaleBar = layoutBar(scaleNotes, x, clef, signature);
+    body += scaleBar.svg;
+    x = scaleBar.x;
+
+    // Selected notes outside the scale, in their own bar
+    const inScale = new Set(scale.intervals.map(i => (root + i) % 12));
+    const outside = [...new Set(extraPcs.map(Number))]
+        .filter(pc => Number.isInteger(pc) && !inScale.has(((pc % 12) + 12) % 12))
+        .map(pc => ((pc % 12) + 12) % 12)
+        .sort((a, b) => ((a - root + 12) % 12) - ((b - root + 12) % 12));
+    if (outside.length > 0) {
+        body += `<path d="M ${x} ${STAFF_TOP} L ${x} ${STAFF_BOTTOM}" stroke="${INK}" stroke-width="1" />`;
+        x += 16;
+        const extraNotes = outside.map((pc) => {
+            const { letter, alter } = parseName(spelled.names[pc]);
+            const letterSteps = (letter - tonic.letter + 7) % 7;
+            // On the tonic's letter but near the octave (C natural in C# Minor)
+            const octave = letterSteps === 0 && (pc - root + 12) % 12 > 6 ? 7 : 0;
+            return { letter, alter, step: tonicStep + letterSteps + octave, color: OUTSIDE_INK };
+        });
+        const extraBar = layoutBar(extraNotes, x, clef, signature);
+        body += extraBar.svg;
+        x = extraBar.x;
+    }
+
+    const width = x + 8;
+    const lines = [0, 1, 2, 3, 4]
+        .map(i => `<path d="M 4 ${STAFF_TOP + i * LINE_GAP} L ${width - 4} ${STAFF_TOP + i * LINE_GAP}" stroke="${INK}" stroke-width="1" />`)
+        .join("");
+    const endBar = `<path d="M ${width - 4} ${STAFF_TOP} L ${width - 4} ${STAFF_BOTTOM}" stroke="${INK}" stroke-width="2" />`;
+    const title = `${formatNoteName(spelled.tonic)} ${mode} scale`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${HEIGHT}" viewBox="0 0 ${width} ${HEIGHT}" role="img" aria-label="${title}">
+    <title>${title}</title>
+    <rect width="${width}" height="${HEIGHT}" fill="#fff" />
+    ${lines}
+    ${clefPath(clef)}
+    ${body}
+    ${endBar}
+</svg>
+`;
+}
+
+// e.g. "Eb_Major_treble.svg"
+function staffSvgFilename(root, mode, clef = "treble") {
+    const spelled = spellKey(root, mode);
+    const note = spelled ? spelled.tonic : "C";
+    return `${note}_${mode.replace(/\s+/g, "-")}_${clef}.svg`;
+}
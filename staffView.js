@@ -0,0 +1,74 @@
+import { getScalePitchClasses } from './scaleDetector.js';
+import { spellKey, formatNoteName } from './noteSpelling.js';
+import { STAFF_CLEFS, buildStaffSvg, staffSvgFilename } from './staffNotation.js';
+
+// The applied key on a staff (buildStaffSvg() in staffNotation.js), with a
+// treble/bass switch and an SVG download. `onDownload(svgText, filename)`
+// saves the file; the component hides itself while there is no key.
+export function createStaffView({ mountEl, onDownload }) {
+    if (!mountEl) {
+        throw new Error('createStaffView: mountEl is required');
+    }
+
+    let key = null; // { root, mode } | null
+    let extraPcs = [];
+    let clef = 'treble';
+    let svg = '';
+
+    mountEl.innerHTML = `
+        <div class="staff-view-header">
+            <span data-role="label"></span>
+            <label class="kb-select">
+                <span class="kb-select-label">Clef</span>
+                <select data-field="clef" aria-label="Clef">
+                    ${STAFF_CLEFS.map((c) => `<option value="${c.id}">${c.label}</option>`).join('')}
+                </select>
+            </label>
+            <button type="button" data-action="download">Download SVG</button>
+        </div>
+        <div class="staff-view-svg" data-role="staff"></div>
+        <div class="hint-text">Red notes: selected notes outside the key.</div>
+    `;
+
+    const clefSelect = mountEl.querySelector('[data-field="clef"]');
+    const staffEl = mountEl.querySelector('[data-role="staff"]');
+    const hintEl = mountEl.querySelector('.hint-text');
+    const labelEl = mountEl.querySelector('[data-role="label"]');
+
+    function render() {
+        svg = key ? buildStaffSvg(key.root, key.mode, { clef, extraPcs }) : '';
+        if (!svg) {
+            staffEl.innerHTML = '';
+            mountEl.classList.add('hidden');
+            return;
+        }
+        mountEl.classList.remove('hidden');
+        labelEl.textContent = `${formatNoteName(spellKey(key.root, key.mode).tonic)} ${key.mode} on the staff`;
+        staffEl.innerHTML = svg;
+        const inKey = new Set(getScalePitchClasses(key.root, key.mode));
+        hintEl.classList.toggle('hidden', extraPcs.every((pc) => inKey.has(pc)));
+    }
+
+    clefSelect.addEventListener('change', () => {
+        clef = clefSelect.value;
+        render();
+    });
+
+    mountEl.querySelector('[data-action="download"]').addEventListener('click', () => {
+        if (!svg || !key || typeof onDownload !== 'function') return;
+        onDownload(svg, staffSvgFilename(key.root, key.mode, clef));
+    });
+
+    // Show `nextKey` ({ root, mode } or null), marking `pcs` outside of it
+    function setKey(nextKey, pcs = []) {
+        key = nextKey ? { root: nextKey.root, mode: nextKey.mode } : null;
+        extraPcs = [...pcs];
+        render();
+    }
+
+    render();
+
+    return {
+        setKey
+    };
+}
@@ -0,0 +1,94 @@
+import { formatKeyLabel } from './noteSpelling.js';
+import { escapeHtml } from './escapeHtml.js';
+
+// Lists the tracks of an uploaded MIDI file with a checkbox each.
+// `tracks` come from analyzeTracks() in scaleDetector.js.
+export function createTrackPanel({ mountEl, onChange }) {
+    if (!mountEl) {
+        throw new Error('createTrackPanel: mountEl is required');
+    }
+
+    let tracks = [];
+    let included = new Set();
+
+    function describeBest(track) {
+        if (track.isPercussion) return 'Drums (ignored by default)';
+        if (!track.best) return '–';
+        return formatKeyLabel(track.best.root, track.best.name);
+    }
+
+    function render() {
+        if (tracks.length === 0) {
+            mountEl.innerHTML = '';
+            mountEl.classList.add('hidden');
+            return;
+        }
+        mountEl.classList.remove('hidden');
+
+        const rows = tracks.map((track) => {
+            const name = track.name || `Track ${track.index + 1}`;
+            const channel = Number.isFinite(track.channel) ? `Ch ${track.channel + 1}` : '';
+            const meta = [track.instrument, channel, `${track.noteCount} note${track.noteCount === 1 ? '' : 's'}`]
+                .filter(Boolean)
+                .map(escapeHtml)
+                .join(' · ');
+
+            return `
+                <li class="track-item${track.isPercussion ? ' track-item--drums' : ''}">
+                    <label class="track-label">
+                        <input type="checkbox" data-track-index="${track.index}"${included.has(track.index) ? ' checked' : ''} />
+                        <span class="track-text">
+                            <span class="track-name">${escapeHtml(name)}</span>
+                            <span class="track-meta">${meta}</span>
+                        </span>
+                        <span class="track-key">${escapeHtml(describeBest(track))}</span>
+                    </label>
+                </li>
+            `;
+        }).join('');
+
+        mountEl.innerHTML = `
+            <div class="track-header">Tracks (${included.size} of ${tracks.length} included)</div>
+            <ul class="track-list">${rows}</ul>
+        `;
+    }
+
+    mountEl.addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-track-index]');
+        if (!input) return;
+        const index = Number(input.dataset.trackIndex);
+        if (input.checked) {
+            included.add(index);
+        } else {
+            included.delete(index);
+        }
+        render();
+        if (typeof onChange === 'function') {
+            onChange(new Set(included));
+        }
+    });
+
+    // Percussion tracks start excluded, everything else included.
+    function setTracks(nextTracks) {
+        tracks = (nextTracks || []).slice();
+        included = new Set(tracks.filter((t) => !t.isPercussion).map((t) => t.index));
+        render();
+        return new Set(included);
+    }
+
+    function clear() {
+        setTracks([]);
+    }
+
+    function getIncludedTracks() {
+        return tracks.filter((t) => included.has(t.index));
+    }
+
+    render();
+
+    return {
+        setTracks,
+        clear,
+        getIncludedTracks
+    };
+}
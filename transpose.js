@@ -0,0 +1,182 @@
+import { isPercussionTrack, KEY_SIGNATURE_ROOTS } from "./scaleDetector.js";
+
+export {
+    TRANSPOSE_MAPPINGS,
+    TRANSPOSE_DIRECTIONS,
+    getTargetModes,
+    planTranspose,
+    transposePitch,
+    transposeMidi,
+    fixKeySignatureBytes
+};
+
+// Transpose a MIDI file from one key to another. Every non-drum note moves;
+// tempo, tracks, instruments and controllers are kept by the Tone.js
+// `Midi` round trip.
+
+// Only used between Major and Minor
+const TRANSPOSE_MAPPINGS = [
+    { id: "parallel", label: "Parallel (same tonic, change the mode)" },
+    { id: "relative", label: "Relative (keep the mode, use the target's key signature)" }
+];
+
+const TRANSPOSE_DIRECTIONS = [
+    { id: "nearest", label: "Nearest" },
+    { id: "up", label: "Up" },
+    { id: "down", label: "Down" }
+];
+
+// Major/Minor degrees that differ between the two modes (3rd, 6th, 7th)
+const MAJOR_ONLY_DEGREES = [4, 9, 11];
+const MINOR_ONLY_DEGREES = [3, 8, 10];
+
+function pcOf(n) {
+    return ((n % 12) + 12) % 12;
+}
+
+// Modes a file in `mode` can be transposed to
+function getTargetModes(mode) {
+    if (mode === "Major") return ["Major", "Minor"];
+    if (mode === "Minor") return ["Minor", "Major"];
+    return [mode];
+}
+
+function shiftFor(fromRoot, toRoot, direction) {
+    const up = pcOf(toRoot - fromRoot);
+    if (direction === "up") return up;
+    if (direction === "down") return up === 0 ? 0 : up - 12;
+    return up > 6 ? up - 12 : up;
+}
+
+// from/to: { root, name }. Returns { semitones, degreeShift, resultKey }, where
+// `degreeShift` (pitch class relative to the new tonic -> +/-1) turns Major
+// into Minor or back for the parallel mapping, and `resultKey` is the key the
+// transposed file is in.
+function planTranspose(from, to, { mapping = "parallel", direction = "nearest" } = {}) {
+    if (!getTargetModes(from.name).includes(to.name)) {
+        throw new Error(`planTranspose: cannot map ${from.name} to ${to.name}`);
+    }
+
+    if (from.name === to.name) {
+        return { semitones: shiftFor(from.root, to.root, direction), degreeShift: null, resultKey: { ...to } };
+    }
+
+    if (mapping === "relative") {
+        // Keep the mode: land on the target's relative key
+        const relativeRoot = to.name === "Minor" ? pcOf(to.root + 3) : pcOf(to.root - 3);
+        return {
+            semitones: shiftFor(from.root, relativeRoot, direction),
+            degreeShift: null,
+            resultKey: { root: relativeRoot, name: from.name }
+        };
+    }
+
+    const toMinor = to.name === "Minor";
+    const degreeShift = new Map((toMinor ? MAJOR_ONLY_DEGREES : MINOR_ONLY_DEGREES).map(d => [d, toMinor ? -1 : 1]));
+    return { semitones: shiftFor(from.root, to.root, direction), degreeShift, resultKey: { ...to } };
+}
+
+// New MIDI note number for `midi`, kept inside 0-127 by octaves
+function transposePitch(midi, plan) {
+    let next = midi + plan.semitones;
+    if (plan.degreeShift) {
+        next += plan.degreeShift.get(pcOf(next - plan.resultKey.root)) || 0;
+    }
+    while (next > 127) next -= 12;
+    while (next < 0) next += 12;
+    return next;
+}
+
+// Major key names by tonic, as written in key signatures (fewest accidentals)
+const KEY_SIGNATURE_NAMES = ["C", "Db", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
+
+function keySignatureFor(root, name) {
+    const minor = name === "Minor";
+    return { key: KEY_SIGNATURE_NAMES[minor ? pcOf(root + 3) : pcOf(root)], scale: minor ? "minor" : "major" };
+}
+
+// Transposed copy of a MIDI file (bytes in, bytes out). Drum tracks are left
+// alone; key signatures are rewritten for the result key (and one is added
+// when the file had none).
+// Returns { bytes, plan, movedNotes }.
+function transposeMidi(bytes, from, to, { mapping, direction, Midi: MidiClass = globalThis.Midi } = {}) {
+    if (typeof MidiClass !== "function") {
+        throw new Error("transposeMidi: no MIDI parser; pass { Midi } or load Midi.js first");
+    }
+    const plan = planTranspose(from, to, { mapping, direction });
+    const midi = new MidiClass(bytes);
+
+    let movedNotes = 0;
+    for (const track of midi.tracks) {
+        if (isPercussionTrack(track)) continue;
+        for (const note of track.notes) {
+            note.midi = transposePitch(note.midi, plan);
+            movedNotes++;
+        }
+    }
+
+    // Each declared key moves like the notes (a modulation stays a modulation);
+    // signatures in the file's own mode take the result key's mode. Unreadable
+    // ones are dropped: Tone.js could not write them back.
+    midi.header.keySignatures = midi.header.keySignatures
+        .filter(ks => KEY_SIGNATURE_ROOTS[ks.key] !== undefined)
+        .map(ks => {
+            const major = KEY_SIGNATURE_ROOTS[ks.key];
+            const name = ks.scale === "minor" ? "Minor" : "Major";
+            const root = name === "Minor" ? pcOf(major - 3) : major;
+            const movedName = name === from.name ? plan.resultKey.name : name;
+            return { ...keySignatureFor(root + plan.semitones, movedName), ticks: ks.ticks };
+        });
+    if (midi.header.keySignatures.length === 0) {
+        midi.header.keySignatures.push({ ...keySignatureFor(plan.resultKey.root, plan.resultKey.name), ticks: 0 });
+    }
+
+    return { bytes: fixKeySignatureBytes(midi.toArray()), plan, movedNotes };
+}
+
+function readVarInt(bytes, pos) {
+    let value = 0;
+    let b;
+    do {
+        b = bytes[pos++];
+        value = (value << 7) | (b & 0x7f);
+    } while (b & 0x80);
+    return { value, pos };
+}
+
+// Tone.js (2.0.28) writes the sharps/flats byte of key signature events 14
+// too high (it reads them back correctly). Walks the track chunks of bytes it
+// wrote and corrects them in place.
+function fixKeySignatureBytes(bytes) {
+    const tag = (pos) => String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+    const length = (pos) => ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+
+    let pos = 0;
+    while (pos + 8 <= bytes.length) {
+        const chunkEnd = pos + 8 + length(pos + 4);
+        if (tag(pos) === "MTrk") {
+            let p = pos + 8;
+            let status = 0;
+            while (p < chunkEnd) {
+                p = readVarInt(bytes, p).pos; // delta time
+                if (bytes[p] & 0x80) status = bytes[p++];
+                if (status === 0xff) {
+                    const type = bytes[p++];
+                    const len = readVarInt(bytes, p);
+                    if (type === 0x59 && len.value === 2) {
+                        bytes[len.pos] = (bytes[len.pos] - 14) & 0xff;
+                    }
+                    p = len.pos + len.value;
+                } else if (status === 0xf0 || status === 0xf7) {
+                    const len = readVarInt(bytes, p);
+                    p = len.pos + len.value;
+                } else {
+                    const kind = status & 0xf0;
+                    p += kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+                }
+            }
+        }
+        pos = chunkEnd;
+    }
+    return bytes;
+}
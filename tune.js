@@ -1,240 +1,196 @@
-// Tuning script - finds optimal multipliers for scale detection
-// Run with: node tune.js
-// First run: npm install @tonejs/midi
-
-const { readFileSync, readdirSync } = require('fs');
-const { join } = require('path');
-const { Midi } = require('@tonejs/midi');
-
-const MIDI_FOLDER = 'C:\\Users\\hakon\\Documents\\Unsynced programmering\\Free-Chord-Progressions-main\\allmajorminor';
-
-const SCALES = {
-    "Major": [0, 2, 4, 5, 7, 9, 11],
-    "Minor": [0, 2, 3, 5, 7, 8, 10]
-};
-
-function buildScale(root, intervals) {
-    return intervals.map(i => (root + i) % 12);
+// Tuning script - finds multipliers for findMatchingScalesWeighted
+// Run with: node tune.js <folder> [options]
+// Files must be labeled in their name, e.g. C_Major.mid or G#Minor_MyChords.mid,
+// or carry a key signature (see --labels)
+// Options:
+//   --labels SOURCE     true key from: filename (default), keySignature or auto (filename, else key signature)
+//   --strategy NAME     random (default), grid, coordinate or annealing
+//   --folds K           k-fold cross-validation (default 5; 1 = single 80/20 split)
+//   --budget N          max evaluations per search (default 500)
+//   --patience N        stop a search after N evaluations without improvement (default 150, 0 = off)
+//   --levels N          values per parameter for the grid strategy (default 4)
+//   --seed N            random seed (default 1)
+//   --out FILE          params file to write (default scoringParams.json)
+//   --all-scales        rank every registered scale, not just Major/Minor
+
+const { readFileSync, readdirSync, statSync, writeFileSync } = require('fs');
+const { join, extname } = require('path');
+const { Midi } = require('./Midi.js');
+
+// Shared detector, chord analysis, evaluation and tuner (ES modules), loaded in tune()
+let detector = null;
+let chords = null;
+let evaluation = null;
+let tuner = null;
+
+async function loadShared() {
+    detector = await import('./scaleDetector.js');
+    chords = await import('./chordAnalysis.js');
+    evaluation = await import('./evaluation.js');
+    tuner = await import('./tuner.js');
 }
 
-function noteNameToMidi(name) {
-    const map = {
-        "C": 0, "C#": 1, "Db": 1,
-        "D": 2, "D#": 3, "Eb": 3,
-        "E": 4, "F": 5,
-        "F#": 6, "Gb": 6,
-        "G": 7, "G#": 8, "Ab": 8,
-        "A": 9, "A#": 10, "Bb": 10,
-        "B": 11
+function parseArgs(argv) {
+    const options = {
+        strategy: 'random',
+        folds: 5,
+        budget: 500,
+        patience: 150,
+        levels: 4,
+        seed: 1,
+        out: 'scoringParams.json',
+        allScales: false,
+        labels: 'filename',
+        folder: null
     };
-    return map[name];
+    const numeric = { '--folds': 'folds', '--budget': 'budget', '--patience': 'patience', '--levels': 'levels', '--seed': 'seed' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (numeric[arg]) {
+            const value = Number(argv[++i]);
+            if (!Number.isFinite(value)) throw new Error(`${arg} needs a number`);
+            options[numeric[arg]] = value;
+        } else if (arg === '--strategy') {
+            options.strategy = argv[++i];
+        } else if (arg === '--labels') {
+            options.labels = argv[++i];
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--all-scales') {
+            options.allScales = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.folder = arg;
+        }
+    }
+
+    return options;
 }
 
-function parseFilename(filename) {
-    const parts = filename.replace('.mid', '').split('_');
-    if (parts.length >= 2) {
-        return { key: parts[0], mode: parts[1] };
+function listMidiFiles(folder) {
+    const files = [];
+    for (const name of readdirSync(folder).sort()) {
+        const path = join(folder, name);
+        if (statSync(path).isDirectory()) {
+            files.push(...listMidiFiles(path));
+        } else if (['.mid', '.midi'].includes(extname(name).toLowerCase())) {
+            files.push(path);
+        }
     }
-    return null;
+    return files;
 }
 
-// Load all MIDI files once
-function loadMidiFiles() {
-    const files = readdirSync(MIDI_FOLDER).filter(f => f.endsWith('.mid'));
+// Load all labeled MIDI files once; `labels` is an evaluation.LABEL_SOURCES id
+function loadMidiFiles(folder, labels) {
     const data = [];
 
-    for (const filename of files) {
-        const expected = parseFilename(filename);
-        if (!expected || (expected.mode !== "Major" && expected.mode !== "Minor")) continue;
+    for (const filepath of listMidiFiles(folder)) {
+        const filename = filepath.slice(folder.length).replace(/^[\\/]+/, '');
+        if (labels === 'filename' && !evaluation.parseLabeledFilename(filename)) continue;
 
-        const filepath = join(MIDI_FOLDER, filename);
-        const buffer = readFileSync(filepath);
-        const midi = new Midi(buffer);
+        const midi = detector.parseMidi(readFileSync(filepath), { Midi });
+        const expected = evaluation.getTrueKey({ filename, declaredKeys: detector.getDeclaredKeys(midi) }, labels);
+        if (!expected) continue;
 
-        const noteWeights = new Map();
-        midi.tracks.forEach(track => {
-            track.notes.forEach(note => {
-                const pc = note.midi % 12;
-                noteWeights.set(pc, (noteWeights.get(pc) || 0) + note.duration);
-            });
-        });
+        // Same note weighting as the UI (skips drum tracks)
+        const { noteWeights, events } = detector.buildNoteWeights(midi);
 
         const usedNotes = [...noteWeights.keys()].sort((a, b) => a - b);
-        const expectedRoot = noteNameToMidi(expected.key);
 
         data.push({
             filename,
             usedNotes,
             noteWeights,
-            expectedRoot,
-            expectedMode: expected.mode
+            // Chords per bar, so the searches score with the cadence bonus too
+            chordSegments: chords.analyzeChords(events, detector.getHeaderInfo(midi)),
+            expectedRoot: expected.root,
+            expectedMode: expected.mode,
+            labelSource: expected.source
         });
     }
 
     return data;
 }
 
-// Score function with configurable multipliers
-function findMatchingScales(usedNotes, noteWeights, params) {
-    const {
-        tonicMult,
-        dominantMult,
-        subdominantMult,
-        thirdMult,
-        wrongThirdPenalty,
-        outsidePenalty
-    } = params;
-
-    const results = [];
-
-    for (let root = 0; root < 12; root++) {
-        for (const [name, intervals] of Object.entries(SCALES)) {
-            const scale = buildScale(root, intervals);
-            let score = 0;
-            let penalty = 0;
-
-            usedNotes.forEach(pc => {
-                const weight = noteWeights.get(pc);
-
-                if (scale.includes(pc)) {
-                    const scaleDegree = (pc - root + 12) % 12;
-                    let points = weight;
-
-                    if (scaleDegree === 0) {
-                        points *= tonicMult;
-                    } else if (scaleDegree === 7) {
-                        points *= dominantMult;
-                    } else if (scaleDegree === 5) {
-                        points *= subdominantMult;
-                    } else if (name === "Major" && scaleDegree === 4) {
-                        points *= thirdMult;
-                    } else if (name === "Minor" && scaleDegree === 3) {
-                        points *= thirdMult;
-                    }
-
-                    score += points;
-                } else {
-                    penalty += weight * outsidePenalty;
-                    
-                    const scaleDegree = (pc - root + 12) % 12;
-                    if (name === "Major" && scaleDegree === 3) {
-                        penalty += weight * wrongThirdPenalty;
-                    } else if (name === "Minor" && scaleDegree === 4) {
-                        penalty += weight * wrongThirdPenalty;
-                    }
-                }
-            });
-
-            results.push({ root, name, score: score - penalty });
-        }
-    }
-
-    results.sort((a, b) => b.score - a.score);
-    return results;
+function pct(value) {
+    return `${(value * 100).toFixed(1)}%`;
 }
 
-// Test accuracy with given parameters
-function testAccuracy(midiData, params) {
-    let correct = 0;
-
-    for (const file of midiData) {
-        const matches = findMatchingScales(file.usedNotes, file.noteWeights, params);
-        const top = matches[0];
+async function tune() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.folder) {
+        console.log('Usage: node tune.js <folder> [--strategy random|grid|coordinate|annealing] [--folds 5] [--budget 500] [--patience 150] [--labels filename|keySignature|auto] [--out scoringParams.json]');
+        process.exitCode = 2;
+        return;
+    }
 
-        if (top.root === file.expectedRoot && top.name === file.expectedMode) {
-            correct++;
-        }
+    await loadShared();
+    if (!tuner.SEARCH_STRATEGIES[options.strategy]) {
+        throw new Error(`Unknown strategy "${options.strategy}". Use one of: ${Object.keys(tuner.SEARCH_STRATEGIES).join(', ')}`);
     }
 
-    return correct;
-}
+    if (!evaluation.LABEL_SOURCES.some(s => s.id === options.labels)) {
+        throw new Error(`Unknown label source "${options.labels}". Use one of: ${evaluation.LABEL_SOURCES.map(s => s.id).join(', ')}`);
+    }
 
-// Main tuning loop
-async function tune() {
     console.log('Loading MIDI files...');
-    const midiData = loadMidiFiles();
-    console.log(`Loaded ${midiData.length} files\n`);
-
-    let bestScore = 0;
-    let bestParams = null;
-    let tested = 0;
-
-    // Define search ranges
-    const tonicRange = [2.0, 2.5, 3.0, 3.5, 4.0, 4.5, 5.0, 5.5, 6.0];
-    const dominantRange = [1.0, 1.5, 2.0, 2.5, 3.0];
-    const subdominantRange = [0.5, 1.0, 1.5, 2.0];
-    const thirdRange = [1.0, 1.5, 2.0, 2.5, 3.0, 3.5, 4.0];
-    const wrongThirdRange = [0.5, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0, 5.0];
-    const outsideRange = [1.0, 1.5, 2.0, 2.5, 3.0];
-
-    const totalCombinations = tonicRange.length * dominantRange.length * 
-        subdominantRange.length * thirdRange.length * 
-        wrongThirdRange.length * outsideRange.length;
-
-    console.log(`Testing ${totalCombinations} combinations...\n`);
-
-    for (const tonicMult of tonicRange) {
-        for (const dominantMult of dominantRange) {
-            for (const subdominantMult of subdominantRange) {
-                for (const thirdMult of thirdRange) {
-                    for (const wrongThirdPenalty of wrongThirdRange) {
-                        for (const outsidePenalty of outsideRange) {
-                            const params = {
-                                tonicMult,
-                                dominantMult,
-                                subdominantMult,
-                                thirdMult,
-                                wrongThirdPenalty,
-                                outsidePenalty
-                            };
-
-                            const score = testAccuracy(midiData, params);
-                            tested++;
-
-                            if (score > bestScore) {
-                                bestScore = score;
-                                bestParams = { ...params };
-                                const pct = ((score / midiData.length) * 100).toFixed(1);
-                                console.log(`NEW BEST: ${score}/${midiData.length} (${pct}%)`);
-                                console.log(`  tonic=${tonicMult}, dom=${dominantMult}, sub=${subdominantMult}, third=${thirdMult}, wrongThird=${wrongThirdPenalty}, outside=${outsidePenalty}`);
-                            }
-
-                            if (tested % 5000 === 0) {
-                                console.log(`Progress: ${tested}/${totalCombinations} (${((tested/totalCombinations)*100).toFixed(1)}%)`);
-                            }
-                        }
-                    }
-                }
-            }
+    const midiData = loadMidiFiles(options.folder, options.labels);
+    const fromSignatures = midiData.filter(d => d.labelSource === 'keySignature').length;
+    console.log(`Loaded ${midiData.length} labeled files${fromSignatures ? ` (${fromSignatures} labeled from their key signature)` : ''}\n`);
+    if (midiData.length === 0) return;
+
+    // Same ranking as test.html: the labeled scales (Major/Minor) only
+    const rank = options.allScales
+        ? (s, p) => detector.rankKeys(s.usedNotes, s.noteWeights, { ...p, families: detector.getScaleFamilies(), chordSegments: s.chordSegments })
+        : evaluation.rankLabeledScales;
+    const foldLabel = options.folds >= 2 ? `${options.folds}-fold cross-validation` : 'a single 80/20 split';
+    console.log(`Strategy: ${options.strategy}, ${foldLabel}, up to ${options.budget} evaluations per search\n`);
+
+    const result = await tuner.crossValidate(midiData, {
+        strategy: options.strategy,
+        folds: options.folds,
+        budget: options.budget,
+        patience: options.patience,
+        levels: options.levels,
+        seed: options.seed,
+        rank,
+        onFold: (fold) => {
+            console.log(
+                `Fold ${fold.fold}: train ${pct(fold.trainAccuracy)}, held-out ${pct(fold.testAccuracy)} ` +
+                `(defaults ${pct(fold.baselineTestAccuracy)}), ${fold.evaluations} evaluations${fold.stoppedEarly ? ', stopped early' : ''}`
+            );
         }
-    }
+    });
 
     console.log('\n=== FINAL RESULTS ===');
-    console.log(`Best accuracy: ${bestScore}/${midiData.length} (${((bestScore/midiData.length)*100).toFixed(1)}%)`);
-    console.log('\nOptimal multipliers:');
-    console.log(JSON.stringify(bestParams, null, 2));
-
-    console.log('\nCode to use in scaleDetector.js:');
-    console.log(`
-    if (scaleDegree === 0) {
-        points *= ${bestParams.tonicMult}; // TONIC
-    } else if (scaleDegree === 7) {
-        points *= ${bestParams.dominantMult}; // DOMINANT
-    } else if (scaleDegree === 5) {
-        points *= ${bestParams.subdominantMult}; // SUBDOMINANT
-    }
-    
-    // Third bonus
-    if (name === "Major" && scaleDegree === 4) {
-        points *= ${bestParams.thirdMult};
-    } else if (name === "Minor" && scaleDegree === 3) {
-        points *= ${bestParams.thirdMult};
-    }
-    
-    // Penalties
-    penalty += weight * ${bestParams.outsidePenalty}; // outside scale
-    penalty += weight * ${bestParams.wrongThirdPenalty}; // wrong third
-    `);
+    console.log(`Held-out accuracy: ${pct(result.heldOutAccuracy)} ± ${pct(result.heldOutStd)} (current defaults: ${pct(result.baselineHeldOutAccuracy)})`);
+    console.log(`Accuracy on all files with the final params (optimistic): ${pct(result.trainAccuracy)}`);
+
+    // Full report for the final params: top-k accuracy and error types
+    const report = evaluation.evaluate(midiData, {
+        params: result.params,
+        rank: file => rank(file, result.params),
+        label: 'tune.js final params'
+    });
+    console.log('\n' + evaluation.formatReportText(report));
+
+    const noCadenceParams = { ...result.params, cadenceBonus: false };
+    const noCadence = evaluation.evaluate(midiData, {
+        params: noCadenceParams,
+        rank: file => rank(file, noCadenceParams),
+        label: 'tune.js final params, no cadence bonus'
+    });
+    console.log(`Top-1 without the V-I cadence bonus: ${pct(noCadence.topK[0].accuracy)} (with: ${pct(report.topK[0].accuracy)})`);
+
+    const paramsFile = tuner.buildParamsFile(result, { strategy: options.strategy, files: midiData.length, folds: options.folds });
+    writeFileSync(options.out, JSON.stringify(paramsFile, null, 2) + '\n');
+    console.log(`\nWrote ${options.out}. Pass it to findMatchingScalesWeighted as params, or copy the values into DEFAULT_WEIGHTED_PARAMS.`);
+    console.log(JSON.stringify(result.params, null, 2));
 }
 
-tune().catch(console.error);
+tune().catch(err => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,321 @@
+import { rankKeys, DEFAULT_WEIGHTED_PARAMS, WEIGHTED_PARAM_NAMES } from "./scaleDetector.js";
+
+export {
+    PARAM_SPACE,
+    SEARCH_STRATEGIES,
+    createRng,
+    scoreParams,
+    searchParams,
+    crossValidate,
+    buildParamsFile
+};
+
+// Parameter tuning for findMatchingScalesWeighted.
+// A search strategy proposes params, scoreParams() rates them on the training
+// files, and crossValidate() reports accuracy on files the search never saw.
+
+// Search range per multiplier (values are snapped to `step`)
+const PARAM_SPACE = {
+    tonicMult:         { min: 1.0, max: 6.0, step: 0.25 },
+    dominantMult:      { min: 0.5, max: 3.0, step: 0.25 },
+    subdominantMult:   { min: 0.0, max: 2.0, step: 0.25 },
+    thirdMult:         { min: 0.5, max: 4.0, step: 0.25 },
+    wrongThirdPenalty: { min: 0.0, max: 5.0, step: 0.25 },
+    outsidePenalty:    { min: 0.5, max: 5.0, step: 0.25 }
+};
+
+// Small seeded PRNG (mulberry32) so runs are reproducible
+function createRng(seed = 1) {
+    let a = seed >>> 0;
+    return function rng() {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function axisValues({ min, max, step }) {
+    const values = [];
+    for (let v = min; v <= max + step / 2; v += step) values.push(Math.round(v * 1000) / 1000);
+    return values;
+}
+
+function snap(value, { min, max, step }) {
+    const clamped = Math.min(max, Math.max(min, value));
+    return Math.round((Math.round((clamped - min) / step) * step + min) * 1000) / 1000;
+}
+
+function paramsKey(params) {
+    return WEIGHTED_PARAM_NAMES.map(name => params[name]).join(",");
+}
+
+// Top-1 accuracy on `samples`; mean reciprocal rank of the true key breaks
+// ties (it moves before accuracy does, which helps the local searches).
+// `rank(sample, params)` defaults to rankKeys over the default scale families.
+function scoreParams(samples, params, rank) {
+    if (samples.length === 0) return { accuracy: 0, mrr: 0, objective: 0 };
+    const rankSample = rank || ((s, p) => rankKeys(s.usedNotes, s.noteWeights, { ...p, chordSegments: s.chordSegments }));
+
+    let correct = 0;
+    let reciprocal = 0;
+    for (const sample of samples) {
+        const matches = rankSample(sample, params);
+        const index = matches.findIndex(m => m.root === sample.expectedRoot && m.name === sample.expectedMode);
+        if (index === 0) correct++;
+        if (index !== -1) reciprocal += 1 / (index + 1);
+    }
+    const accuracy = correct / samples.length;
+    const mrr = reciprocal / samples.length;
+    return { accuracy, mrr, objective: accuracy + mrr / 1000 };
+}
+
+// --- Search strategies -----------------------------------------------------
+// Each one is async (so a page can repaint between steps) and calls
+// `evaluate(params)`, which returns false once the budget or patience is used up.
+
+// Evenly spaced `levels` values per parameter, every combination
+async function gridSearch(space, evaluate, { levels = 4 } = {}) {
+    const names = Object.keys(space);
+    const axes = names.map(name => {
+        const { min, max } = space[name];
+        const count = Math.max(1, levels);
+        return Array.from({ length: count }, (_, i) =>
+            snap(count === 1 ? (min + max) / 2 : min + (i * (max - min)) / (count - 1), space[name]));
+    });
+
+    const indices = names.map(() => 0);
+    while (true) {
+        const params = Object.fromEntries(names.map((name, i) => [name, axes[i][indices[i]]]));
+        if (!(await evaluate(params))) return;
+
+        // Odometer-style increment
+        let i = names.length - 1;
+        while (i >= 0 && ++indices[i] === axes[i].length) {
+            indices[i] = 0;
+            i--;
+        }
+        if (i < 0) return;
+    }
+}
+
+async function randomSearch(space, evaluate, { rng, start }) {
+    if (!(await evaluate(start))) return;
+    while (true) {
+        const params = Object.fromEntries(Object.entries(space).map(([name, range]) =>
+            [name, snap(range.min + rng() * (range.max - range.min), range)]));
+        if (!(await evaluate(params))) return;
+    }
+}
+
+// One parameter at a time: try every value on its axis, keep the best,
+// repeat until a full pass changes nothing
+async function coordinateSearch(space, evaluate, { start, getBest }) {
+    let current = { ...start };
+    if (!(await evaluate(current))) return;
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (const name of Object.keys(space)) {
+            const before = current[name];
+            for (const value of axisValues(space[name])) {
+                if (value === current[name]) continue;
+                if (!(await evaluate({ ...current, [name]: value }))) return;
+            }
+            current = { ...getBest().params };
+            if (current[name] !== before) improved = true;
+        }
+    }
+}
+
+// Random single-parameter moves; worse moves are accepted with a probability
+// that shrinks as the temperature cools from t0 to t1 over the budget.
+async function annealingSearch(space, evaluate, { rng, start, budget, getScore, t0 = 0.02, t1 = 0.0005 }) {
+    const names = Object.keys(space);
+    let current = { ...start };
+    if (!(await evaluate(current))) return;
+    let currentScore = getScore(current);
+
+    for (let step = 0; ; step++) {
+        const progress = Math.min(1, step / Math.max(1, budget));
+        const temperature = t0 * Math.pow(t1 / t0, progress);
+
+        const name = names[Math.floor(rng() * names.length)];
+        const range = space[name];
+        const jump = (1 + Math.floor(rng() * 3)) * range.step * (rng() < 0.5 ? -1 : 1);
+        const candidate = { ...current, [name]: snap(current[name] + jump, range) };
+
+        if (!(await evaluate(candidate))) return;
+        const score = getScore(candidate);
+        if (score >= currentScore || rng() < Math.exp((score - currentScore) / temperature)) {
+            current = candidate;
+            currentScore = score;
+        }
+    }
+}
+
+const SEARCH_STRATEGIES = {
+    grid: gridSearch,
+    random: randomSearch,
+    coordinate: coordinateSearch,
+    annealing: annealingSearch
+};
+
+// Run one strategy on `samples`.
+// options: strategy, budget (max evaluations), patience (stop after this many
+//          evaluations without improvement; 0 = never), seed, levels (grid),
+//          space, start, rank(sample, params), onProgress({ evaluations, best })
+// Returns { params, accuracy, mrr, evaluations, stoppedEarly }.
+async function searchParams(samples, {
+    strategy = "random",
+    budget = 500,
+    patience = 150,
+    seed = 1,
+    levels,
+    space = PARAM_SPACE,
+    start = DEFAULT_WEIGHTED_PARAMS,
+    rank,
+    onProgress
+} = {}) {
+    const search = SEARCH_STRATEGIES[strategy];
+    if (!search) throw new Error(`searchParams: unknown strategy "${strategy}"`);
+
+    const cache = new Map();
+    let best = null;
+    let evaluations = 0;
+    let calls = 0;
+    let sinceImprovement = 0;
+    let stoppedEarly = false;
+
+    // The start point is kept as given (e.g. the current defaults), off-grid or not
+    const startParams = Object.fromEntries(Object.keys(space).map(name => [name, start[name]]));
+
+    function getScore(params) {
+        return cache.get(paramsKey(params)).objective;
+    }
+
+    async function evaluate(params) {
+        // Repeat proposals are free, but a small space can run out of new ones
+        if (evaluations >= budget || ++calls > budget * 20) return false;
+        const key = paramsKey(params);
+        if (!cache.has(key)) {
+            cache.set(key, scoreParams(samples, params, rank));
+            evaluations++;
+            const result = cache.get(key);
+            if (!best || result.objective > best.objective) {
+                best = { params: { ...params }, ...result };
+                sinceImprovement = 0;
+            } else {
+                sinceImprovement++;
+            }
+            if (onProgress && evaluations % 25 === 0) await onProgress({ evaluations, budget, best });
+        }
+        if (patience > 0 && sinceImprovement >= patience) {
+            stoppedEarly = true;
+            return false;
+        }
+        return evaluations < budget;
+    }
+
+    await search(space, evaluate, {
+        rng: createRng(seed),
+        start: startParams,
+        budget,
+        levels,
+        getBest: () => best,
+        getScore
+    });
+
+    return {
+        params: best ? best.params : startParams,
+        accuracy: best ? best.accuracy : 0,
+        mrr: best ? best.mrr : 0,
+        evaluations,
+        stoppedEarly
+    };
+}
+
+function shuffled(items, rng) {
+    const copy = items.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// k-fold cross-validation: tune on k-1 folds, score on the held-out fold.
+// With folds < 2 it is a single train/test split (`testFraction` held out).
+// The returned `params` are tuned on all samples (what you would ship);
+// `heldOutAccuracy` is the honest estimate of how well they generalize.
+async function crossValidate(samples, { folds = 5, testFraction = 0.2, seed = 1, rank, onFold, ...searchOptions } = {}) {
+    const order = shuffled(samples, createRng(seed));
+    const splits = [];
+    if (folds >= 2) {
+        for (let f = 0; f < folds; f++) {
+            splits.push({
+                train: order.filter((_, i) => i % folds !== f),
+                test: order.filter((_, i) => i % folds === f)
+            });
+        }
+    } else {
+        const testCount = Math.max(1, Math.round(order.length * testFraction));
+        splits.push({ train: order.slice(testCount), test: order.slice(0, testCount) });
+    }
+
+    const foldResults = [];
+    for (let i = 0; i < splits.length; i++) {
+        const { train, test } = splits[i];
+        const tuned = await searchParams(train, { ...searchOptions, seed: seed + i, rank });
+        const result = {
+            fold: i + 1,
+            trainSize: train.length,
+            testSize: test.length,
+            params: tuned.params,
+            trainAccuracy: tuned.accuracy,
+            testAccuracy: scoreParams(test, tuned.params, rank).accuracy,
+            baselineTestAccuracy: scoreParams(test, DEFAULT_WEIGHTED_PARAMS, rank).accuracy,
+            evaluations: tuned.evaluations,
+            stoppedEarly: tuned.stoppedEarly
+        };
+        foldResults.push(result);
+        if (onFold) await onFold(result);
+    }
+
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / Math.max(1, values.length);
+    const testAccuracies = foldResults.map(f => f.testAccuracy);
+    const heldOutAccuracy = mean(testAccuracies);
+    const spread = Math.sqrt(mean(testAccuracies.map(a => (a - heldOutAccuracy) ** 2)));
+
+    const final = await searchParams(samples, { ...searchOptions, seed, rank });
+
+    return {
+        params: final.params,
+        trainAccuracy: final.accuracy,
+        heldOutAccuracy,
+        heldOutStd: spread,
+        baselineHeldOutAccuracy: mean(foldResults.map(f => f.baselineTestAccuracy)),
+        folds: foldResults
+    };
+}
+
+// Params file for findMatchingScalesWeighted: the multipliers at the top
+// level (so the parsed JSON can be passed as `params`), plus how they were found.
+function buildParamsFile(result, { strategy, files, folds } = {}) {
+    const round = (v) => Math.round(v * 10000) / 10000;
+    return {
+        ...result.params,
+        tuning: {
+            strategy,
+            files,
+            folds,
+            heldOutAccuracy: round(result.heldOutAccuracy),
+            heldOutStd: round(result.heldOutStd),
+            baselineHeldOutAccuracy: round(result.baselineHeldOutAccuracy),
+            trainAccuracy: round(result.trainAccuracy),
+            createdAt: new Date().toISOString()
+        }
+    };
+}